@@ -0,0 +1,204 @@
+import * as core from '@actions/core';
+import { cloudflareRequest, getAccountApi, paginate } from './cloudflare-api.mjs';
+
+const SESSION_DURATION = '24h';
+
+// Service tokens are only rotated on request, so they outlive many deploys
+const SERVICE_TOKEN_DURATION = '8760h';
+
+// Keeps the previous service token secret valid for a while after rotating, so runs that
+// still use it finish before it stops working
+const PREVIOUS_SECRET_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Returns the hostname pattern covering every preview of a project
+ *
+ * Branch aliases and commit-specific URLs are all subdomains of the project subdomain,
+ * while production is served from the project subdomain itself and stays public.
+ * @param {object} project - Pages project from the Cloudflare API
+ * @returns {string}
+ */
+function getPreviewDomain(project) {
+  return `*.${project.subdomain}`;
+}
+
+/**
+ * Returns the name of the service token the action manages for a project
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {string}
+ */
+function getServiceTokenName(projectName) {
+  return `Pages previews CI: ${projectName}`;
+}
+
+/**
+ * Finds the Access application protecting the previews of a project
+ * @param {object} project - Pages project from the Cloudflare API
+ * @returns {Promise<object|null>}
+ */
+async function findAccessApplication(project) {
+  const { accountUrl, token } = getAccountApi();
+  const domain = getPreviewDomain(project);
+
+  for await (const application of paginate(`${accountUrl}/access/apps`, token)) {
+    if (application.domain === domain || (application.self_hosted_domains || []).includes(domain)) {
+      return application;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the service token the action manages for a project
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {Promise<object|null>}
+ */
+async function findServiceToken(projectName) {
+  const { accountUrl, token } = getAccountApi();
+  const name = getServiceTokenName(projectName);
+
+  for await (const serviceToken of paginate(`${accountUrl}/access/service_tokens`, token)) {
+    if (serviceToken.name === name) {
+      return serviceToken;
+    }
+  }
+  return null;
+}
+
+/**
+ * Makes sure the service token of a project exists and works out its credentials
+ *
+ * Cloudflare only reveals the client secret when a token is created or rotated. The token is
+ * created once and then reused, as rotating on every deploy would lock out overlapping runs
+ * and anyone else using the secret. Later runs get the secret from the stored credentials.
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} options - Service token settings, see ensurePreviewAccess
+ * @returns {Promise<{id: string, clientId: string, clientSecret: string|null}>} - `clientSecret` is null when it is unknown
+ */
+async function ensureServiceToken(projectName, options) {
+  const { accountUrl, token } = getAccountApi();
+  const name = getServiceTokenName(projectName);
+  const existing = await findServiceToken(projectName);
+
+  if (!existing || options.rotateServiceToken) {
+    const issued = existing
+      ? await cloudflareRequest(`${accountUrl}/access/service_tokens/${existing.id}/rotate`, token, {
+        method: 'POST',
+        body: JSON.stringify({ previous_client_secret_expires_at: new Date(Date.now() + PREVIOUS_SECRET_GRACE_MS).toISOString() }),
+      })
+      : await cloudflareRequest(`${accountUrl}/access/service_tokens`, token, {
+        method: 'POST',
+        body: JSON.stringify({ name, duration: SERVICE_TOKEN_DURATION }),
+      });
+
+    core.setSecret(issued.client_secret);
+    core.warning(`${existing ? 'Rotated' : 'Created'} Access service token "${name}", store the access-client-id and access-client-secret outputs as ACCESS_CLIENT_ID and ACCESS_CLIENT_SECRET for later deploys`);
+    return { id: issued.id || existing.id, clientId: issued.client_id, clientSecret: issued.client_secret };
+  }
+
+  const credentials = options.serviceTokenCredentials;
+  if (credentials?.clientId === existing.client_id && credentials.clientSecret) {
+    core.info(`Using Access service token "${name}"`);
+    return { id: existing.id, clientId: existing.client_id, clientSecret: credentials.clientSecret };
+  }
+
+  core.warning(credentials?.clientId
+    ? `ACCESS_CLIENT_ID is not the client ID of Access service token "${name}", requests to protected previews will be rejected`
+    : `Access service token "${name}" already exists, set ACCESS_CLIENT_ID and ACCESS_CLIENT_SECRET to its credentials, or rotate it with ACCESS_ROTATE_SERVICE_TOKEN`);
+  return { id: existing.id, clientId: existing.client_id, clientSecret: null };
+}
+
+/**
+ * Builds the policies of the preview Access application
+ * @param {object} options - Who may open previews, see ensurePreviewAccess
+ * @param {string} [serviceTokenId] - Service token allowed in without signing in
+ * @returns {Array<object>}
+ */
+function buildPolicies(options, serviceTokenId) {
+  const include = [
+    ...(options.emailDomains || []).map(domain => ({ email_domain: { domain } })),
+    ...(options.groups || []).map(id => ({ group: { id } })),
+  ];
+  const policies = [{ name: 'Allow reviewers', decision: 'allow', include, precedence: 1 }];
+
+  if (serviceTokenId) {
+    policies.push({ name: 'Allow CI service token', decision: 'non_identity', include: [{ service_token: { token_id: serviceTokenId } }], precedence: 2 });
+  }
+  return policies;
+}
+
+/**
+ * Puts the previews of a project behind Cloudflare Access
+ *
+ * Creates an Access application covering every preview hostname of the project, or updates
+ * the existing one, allowing the configured email domains and Access groups.
+ * @param {object} project - Pages project from the Cloudflare API
+ * @param {object} options - Who may open previews
+ * @param {Array<string>} [options.emailDomains] - Email domains allowed to sign in, e.g. "example.com"
+ * @param {Array<string>} [options.groups] - IDs of Access groups allowed to sign in
+ * @param {boolean} [options.serviceToken] - Whether to let a service token for CI in
+ * @param {{clientId: string, clientSecret: string}|null} [options.serviceTokenCredentials] - Stored credentials of the service token
+ * @param {boolean} [options.rotateServiceToken] - Whether to rotate the service token to get a new secret
+ * @returns {Promise<{applicationId: string, serviceToken: {clientId: string, clientSecret: string|null}|null}>}
+ */
+export async function ensurePreviewAccess(project, options) {
+  if (!options.emailDomains?.length && !options.groups?.length) {
+    throw new Error('Cloudflare Access needs at least one allowed email domain or group');
+  }
+
+  const { accountUrl, token } = getAccountApi();
+  const domain = getPreviewDomain(project);
+  const serviceToken = options.serviceToken ? await ensureServiceToken(project.name, options) : null;
+
+  const application = {
+    name: `Pages previews: ${project.name}`,
+    domain,
+    type: 'self_hosted',
+    session_duration: SESSION_DURATION,
+    app_launcher_visible: false,
+    policies: buildPolicies(options, serviceToken?.id),
+  };
+
+  const existing = await findAccessApplication(project);
+  const saved = existing
+    ? await cloudflareRequest(`${accountUrl}/access/apps/${existing.id}`, token, { method: 'PUT', body: JSON.stringify(application) })
+    : await cloudflareRequest(`${accountUrl}/access/apps`, token, { method: 'POST', body: JSON.stringify(application) });
+
+  core.info(`${existing ? 'Updated' : 'Created'} Access application for ${domain}`);
+  return {
+    applicationId: saved.id,
+    serviceToken: serviceToken && { clientId: serviceToken.clientId, clientSecret: serviceToken.clientSecret },
+  };
+}
+
+/**
+ * Removes the Access application and service token of a project's previews
+ * @param {object} project - Pages project from the Cloudflare API
+ * @param {object} [options] - Removal settings
+ * @param {boolean} [options.dryRun] - Only log what would be removed
+ * @returns {Promise<void>}
+ */
+export async function removePreviewAccess(project, options = {}) {
+  const { accountUrl, token } = getAccountApi();
+  const application = await findAccessApplication(project);
+  const serviceToken = await findServiceToken(project.name);
+
+  if (options.dryRun) {
+    if (application) {
+      core.info(`Dry run: would delete Access application "${application.name}" for ${application.domain}`);
+    }
+    if (serviceToken) {
+      core.info(`Dry run: would delete Access service token "${serviceToken.name}"`);
+    }
+    return;
+  }
+
+  if (application) {
+    await cloudflareRequest(`${accountUrl}/access/apps/${application.id}`, token, { method: 'DELETE' });
+    core.info(`Deleted Access application "${application.name}" for ${application.domain}`);
+  }
+  if (serviceToken) {
+    await cloudflareRequest(`${accountUrl}/access/service_tokens/${serviceToken.id}`, token, { method: 'DELETE' });
+    core.info(`Deleted Access service token "${serviceToken.name}"`);
+  }
+}
@@ -0,0 +1,274 @@
+import * as core from '@actions/core';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import { gzip } from 'zlib';
+import { mapWithConcurrency } from './cloudflare-api.mjs';
+import { listAssetFiles } from './direct-upload.mjs';
+import { formatSize } from './validate-dist.mjs';
+
+const gzipAsync = promisify(gzip);
+
+const MANIFEST_VERSION = 1;
+
+// Files read and compressed at the same time while building a manifest
+const HASH_CONCURRENCY = 8;
+
+// Keeps the PR comment and job summary readable for large bundles
+const MAX_LISTED_FILES = 20;
+const MAX_REGRESSIONS = 10;
+
+const SIZE_UNITS = { b: 1, kb: 1024, kib: 1024, mb: 1024 ** 2, mib: 1024 ** 2, gb: 1024 ** 3, gib: 1024 ** 3 };
+
+/**
+ * Parses a size such as "250 KB" or "1.5MiB", where KB and KiB both mean 1024 bytes
+ * @param {string} value - Size with an optional unit, bytes when there is none
+ * @param {string} inputName - Name of the action input, used in errors
+ * @returns {number|null} - Size in bytes, or null if the value is empty
+ */
+export function parseSize(value, inputName) {
+  if (!value) {
+    return null;
+  }
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const unit = SIZE_UNITS[(match?.[2] || 'b').toLowerCase()];
+  if (!match || !unit) {
+    throw new Error(`${inputName} must be a size such as "500 KB" or "2 MB", got "${value}"`);
+  }
+  return Math.round(Number(match[1]) * unit);
+}
+
+/**
+ * Formats a size change with its sign
+ * @param {number} bytes - Change in bytes
+ * @returns {string}
+ */
+function formatDelta(bytes) {
+  if (bytes === 0) {
+    return '±0 B';
+  }
+  return `${bytes > 0 ? '+' : '-'}${formatSize(Math.abs(bytes))}`;
+}
+
+/**
+ * Records the size, gzip size and content hash of every file that gets uploaded
+ * @param {string} distFolder - Path to the distribution folder
+ * @returns {Promise<{version: number, files: Object<string, {size: number, gzipSize: number, hash: string}>}>}
+ */
+export async function buildManifest(distFolder) {
+  const files = await listAssetFiles(distFolder);
+
+  const entries = await mapWithConcurrency(files, HASH_CONCURRENCY, async file => {
+    const contents = await fs.readFile(file.absolutePath);
+    const compressed = await gzipAsync(contents, { level: 9 });
+    return [file.name, {
+      size: contents.length,
+      gzipSize: compressed.length,
+      hash: createHash('sha256').update(contents).digest('hex'),
+    }];
+  });
+
+  entries.sort(([a], [b]) => a.localeCompare(b));
+  return { version: MANIFEST_VERSION, files: Object.fromEntries(entries) };
+}
+
+/**
+ * Writes a manifest to disk, e.g. to keep it as an artifact of production deploys
+ * @param {string} filePath - Where to write the manifest
+ * @param {object} manifest - Manifest from buildManifest
+ * @returns {Promise<void>}
+ */
+export async function writeManifest(filePath, manifest) {
+  await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+  await fs.writeFile(filePath, `${JSON.stringify(manifest, null, 2)}\n`);
+  core.info(`Wrote asset manifest of ${Object.keys(manifest.files).length} files to ${filePath}`);
+}
+
+/**
+ * Loads a baseline manifest from a file or URL
+ * @param {string} source - Path of the manifest file, or an http(s) URL
+ * @returns {Promise<object|null>} - The manifest, or null if there is none yet
+ */
+export async function loadManifest(source) {
+  let text;
+  try {
+    if (/^https?:\/\//.test(source)) {
+      const response = await fetch(source);
+      if (response.status === 404) {
+        throw Object.assign(new Error('not found'), { code: 'ENOENT' });
+      }
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      text = await response.text();
+    } else {
+      text = await fs.readFile(source, 'utf8');
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      // The first production deploy has nothing to compare against yet
+      core.warning(`Baseline asset manifest ${source} not found, skipping the comparison`);
+      return null;
+    }
+    throw new Error(`Failed to load baseline asset manifest ${source}: ${error.message}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Baseline asset manifest ${source} is not valid JSON: ${error.message}`);
+  }
+  if (manifest?.version !== MANIFEST_VERSION || !manifest.files || typeof manifest.files !== 'object') {
+    throw new Error(`Baseline asset manifest ${source} is not a version ${MANIFEST_VERSION} manifest`);
+  }
+  return manifest;
+}
+
+/**
+ * Adds up the sizes of a manifest
+ * @param {object} manifest - Manifest from buildManifest
+ * @returns {{fileCount: number, totalSize: number, gzipSize: number}}
+ */
+function sumManifest(manifest) {
+  const files = Object.values(manifest.files);
+  return {
+    fileCount: files.length,
+    totalSize: files.reduce((total, file) => total + file.size, 0),
+    gzipSize: files.reduce((total, file) => total + file.gzipSize, 0),
+  };
+}
+
+/**
+ * Compares a manifest against a baseline
+ *
+ * The report lists at most MAX_LISTED_FILES files per category, largest change first,
+ * along with the full counts.
+ * @param {object} manifest - Manifest of this deploy
+ * @param {object|null} baseline - Manifest to compare against, e.g. of the last production deploy
+ * @returns {object} - Asset report, kept small enough for the result-json output
+ */
+export function compareManifests(manifest, baseline) {
+  const report = { ...sumManifest(manifest), baseline: null };
+  if (!baseline) {
+    return report;
+  }
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [name, file] of Object.entries(manifest.files)) {
+    const previous = baseline.files[name];
+    if (!previous) {
+      added.push({ name, size: file.size, delta: file.size, gzipDelta: file.gzipSize });
+    } else if (previous.hash !== file.hash) {
+      changed.push({ name, size: file.size, delta: file.size - previous.size, gzipDelta: file.gzipSize - previous.gzipSize });
+    }
+  }
+  for (const [name, file] of Object.entries(baseline.files)) {
+    if (!manifest.files[name]) {
+      removed.push({ name, size: file.size, delta: -file.size, gzipDelta: -file.gzipSize });
+    }
+  }
+
+  const bySizeOfChange = (a, b) => Math.abs(b.delta) - Math.abs(a.delta);
+  const listed = files => ({ count: files.length, files: [...files].sort(bySizeOfChange).slice(0, MAX_LISTED_FILES) });
+
+  report.baseline = sumManifest(baseline);
+  Object.assign(report, {
+    totalDelta: report.totalSize - report.baseline.totalSize,
+    gzipDelta: report.gzipSize - report.baseline.gzipSize,
+    added: listed(added),
+    removed: listed(removed),
+    changed: listed(changed),
+    largestRegressions: [...added, ...changed]
+      .filter(file => file.delta > 0)
+      .sort((a, b) => b.delta - a.delta)
+      .slice(0, MAX_REGRESSIONS),
+  });
+  return report;
+}
+
+/**
+ * Checks an asset report against the size budget
+ * @param {object} report - Report from compareManifests
+ * @param {object} budget - Limits in bytes, each one optional
+ * @param {number|null} [budget.total] - Maximum total size
+ * @param {number|null} [budget.gzip] - Maximum total gzip size
+ * @param {number|null} [budget.increase] - Maximum growth of the total gzip size over the baseline
+ * @returns {Array<string>} - Exceeded limits, empty when the deploy is within budget
+ */
+export function checkSizeBudget(report, budget) {
+  const exceeded = [];
+  if (budget.total && report.totalSize > budget.total) {
+    exceeded.push(`total size ${formatSize(report.totalSize)} is over the ${formatSize(budget.total)} budget`);
+  }
+  if (budget.gzip && report.gzipSize > budget.gzip) {
+    exceeded.push(`gzip size ${formatSize(report.gzipSize)} is over the ${formatSize(budget.gzip)} budget`);
+  }
+  if (budget.increase && report.baseline && report.gzipDelta > budget.increase) {
+    exceeded.push(`gzip size grew by ${formatSize(report.gzipDelta)}, more than the ${formatSize(budget.increase)} budget`);
+  }
+  return exceeded;
+}
+
+/**
+ * Renders an asset report as Markdown for the PR comment and the job summary
+ * @param {object} report - Report from compareManifests, with `budgetExceeded` set by the caller
+ * @param {string} title - Heading of the section
+ * @returns {string}
+ */
+export function renderAssetReport(report, title) {
+  const lines = [`#### ${title}`, ''];
+
+  if (report.budgetExceeded?.length) {
+    lines.push(...report.budgetExceeded.map(message => `❌ Size budget exceeded: ${message}`), '');
+  }
+
+  lines.push(
+    '| | Files | Size | Gzip |',
+    '|---|---|---|---|',
+    `| This deploy | ${report.fileCount} | ${formatSize(report.totalSize)} | ${formatSize(report.gzipSize)} |`
+  );
+  if (!report.baseline) {
+    lines.push('', '_No baseline manifest to compare against._');
+    return lines.join('\n');
+  }
+
+  const fileDelta = report.fileCount - report.baseline.fileCount;
+  lines.push(
+    `| Baseline | ${report.baseline.fileCount} | ${formatSize(report.baseline.totalSize)} | ${formatSize(report.baseline.gzipSize)} |`,
+    `| Change | ${fileDelta > 0 ? '+' : ''}${fileDelta} | ${formatDelta(report.totalDelta)} | ${formatDelta(report.gzipDelta)} |`
+  );
+
+  if (report.largestRegressions.length > 0) {
+    lines.push(
+      '',
+      '**Largest regressions**',
+      '',
+      '| File | Size | Change | Gzip change |',
+      '|---|---|---|---|',
+      ...report.largestRegressions.map(file => `| \`${file.name}\` | ${formatSize(file.size)} | ${formatDelta(file.delta)} | ${formatDelta(file.gzipDelta)} |`)
+    );
+  }
+
+  const categories = [['added', 'Added'], ['removed', 'Removed'], ['changed', 'Changed']]
+    .filter(([key]) => report[key].count > 0);
+  if (categories.length === 0) {
+    lines.push('', 'No files changed.');
+    return lines.join('\n');
+  }
+
+  const counts = categories.map(([key, label]) => `${report[key].count} ${label.toLowerCase()}`).join(', ');
+  lines.push('', `<details><summary>${counts}</summary>`, '', '| File | Status | Size | Change |', '|---|---|---|---|');
+  for (const [key, label] of categories) {
+    lines.push(...report[key].files.map(file => `| \`${file.name}\` | ${label} | ${formatSize(file.size)} | ${formatDelta(file.delta)} |`));
+    if (report[key].count > report[key].files.length) {
+      lines.push(`| …and ${report[key].count - report[key].files.length} more | ${label} | | |`);
+    }
+  }
+  lines.push('', '</details>');
+
+  return lines.join('\n');
+}
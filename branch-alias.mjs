@@ -0,0 +1,55 @@
+// Cloudflare truncates branch aliases to this many characters
+export const MAX_BRANCH_ALIAS_LENGTH = 28;
+
+/**
+ * Converts a branch name to the alias Cloudflare Pages gives its preview deployments
+ *
+ * The branch is lowercased and every character other than a-z and 0-9 becomes a dash.
+ * Dashes are not collapsed. Leading dashes are trimmed, then the alias is truncated
+ * to 28 characters and trailing dashes are trimmed.
+ *
+ * | Branch                                     | Alias                          |
+ * |--------------------------------------------|--------------------------------|
+ * | `main`                                     | `main`                         |
+ * | `Feature/Login`                            | `feature-login`                |
+ * | `feat/foo_bar.baz`                         | `feat-foo-bar-baz`             |
+ * | `fix//double`                              | `fix--double`                  |
+ * | `dependabot/npm_and_yarn/react-18.2.0`     | `dependabot-npm-and-yarn-reac` |
+ * | `feature/this-is-a-very-long-branch-name`  | `feature-this-is-a-very-long`  |
+ * | `_wip-`                                    | `wip`                          |
+ * | `renovate/@types/node-20.x`                | `renovate--types-node-20-x`    |
+ * | `feature/ümlaut`                           | `feature--mlaut`               |
+ * | `///`                                      | none, the branch has no alias  |
+ * @param {string} branch - Git branch name
+ * @returns {string|null} - The alias, or null if nothing usable is left of the branch name
+ */
+export function branchToAlias(branch) {
+  const alias = branch
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '-')
+    .replace(/^-+/, '')
+    .slice(0, MAX_BRANCH_ALIAS_LENGTH)
+    .replace(/-+$/, '');
+
+  return alias || null;
+}
+
+/**
+ * Works out the stable URL a branch is served from
+ *
+ * The production branch is served from the project subdomain itself and has no alias.
+ * Every other branch is served from `<alias>.<project subdomain>`.
+ * @param {object} project - Pages project from the Cloudflare API
+ * @param {string} project.subdomain - Project subdomain, e.g. "my-project.pages.dev"
+ * @param {string} project.production_branch - Production branch of the project
+ * @param {string} branch - Git branch name
+ * @returns {{production: boolean, alias: string|null, url: string|null}} - `url` is null when the branch has no alias
+ */
+export function resolveBranchUrl(project, branch) {
+  if (branch === project.production_branch) {
+    return { production: true, alias: null, url: `https://${project.subdomain}` };
+  }
+
+  const alias = branchToAlias(branch);
+  return { production: false, alias, url: alias ? `https://${alias}.${project.subdomain}` : null };
+}
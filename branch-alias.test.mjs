@@ -0,0 +1,47 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { branchToAlias, resolveBranchUrl } from './branch-alias.mjs';
+
+const project = { name: 'my-project', subdomain: 'my-project.pages.dev', production_branch: 'main' };
+
+// Branch names that tripped up alias matching, with the alias Cloudflare gives them
+const BRANCHES = [
+  ['main', 'main'],
+  ['Feature/Login', 'feature-login'],
+  ['feat/foo_bar.baz', 'feat-foo-bar-baz'],
+  ['fix//double', 'fix--double'],
+  ['dependabot/npm_and_yarn/react-18.2.0', 'dependabot-npm-and-yarn-reac'],
+  ['feature/this-is-a-very-long-branch-name', 'feature-this-is-a-very-long'],
+  ['_wip-', 'wip'],
+  ['renovate/@types/node-20.x', 'renovate--types-node-20-x'],
+  ['feature/ümlaut', 'feature--mlaut'],
+  ['///', null],
+];
+
+describe('branchToAlias', () => {
+  for (const [branch, alias] of BRANCHES) {
+    it(`turns "${branch}" into ${alias === null ? 'no alias' : `"${alias}"`}`, () => {
+      assert.equal(branchToAlias(branch), alias);
+    });
+  }
+});
+
+describe('resolveBranchUrl', () => {
+  it('serves the production branch from the project subdomain', () => {
+    assert.deepEqual(resolveBranchUrl(project, 'main'), {
+      production: true,
+      alias: null,
+      url: 'https://my-project.pages.dev',
+    });
+  });
+
+  for (const [branch, alias] of BRANCHES.filter(([branch]) => branch !== project.production_branch)) {
+    it(`serves "${branch}" from ${alias === null ? 'no URL' : `its alias "${alias}"`}`, () => {
+      assert.deepEqual(resolveBranchUrl(project, branch), {
+        production: false,
+        alias,
+        url: alias === null ? null : `https://${alias}.my-project.pages.dev`,
+      });
+    });
+  }
+});
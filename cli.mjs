@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import {
+  configureCloudflare,
+  deleteDeploymentFromCloudflare,
+  deleteProjectFromCloudflare,
+  deployToCloudflare,
+  listDeploymentsFromCloudflare,
+} from './lib.mjs';
+
+const USAGE = `Usage: deploy-ui-to-cloudflare <command> [options]
+
+Commands:
+  deploy                     Deploy a folder to a Pages project
+  delete-deployment          Delete every deployment of a branch
+  delete-project             Delete a project and all of its deployments
+  list                       List the deployments of a project
+
+Options, with the environment variable each one falls back to:
+  --project <name>           Pages project name (PROJECT_NAME)
+  --branch <name>            Branch to deploy or delete, defaults to "main" (BRANCH)
+  --dist <folder>            Folder to deploy (DIST_FOLDER)
+  --headers <json>           Custom headers configuration (HEADERS)
+  --redirects <json>         Redirects configuration (REDIRECTS)
+  --commit-hash <sha>        Commit recorded on the deployment (COMMIT_HASH)
+  --commit-message <text>    Commit message recorded on the deployment (COMMIT_MESSAGE)
+  --validate <level>         "fail", "warn" or "off", defaults to "fail" (VALIDATE_DIST)
+  --max-file-count <count>   File count limit of the project, defaults to 20000 (MAX_FILE_COUNT)
+  --confirm <name>           Project name, required by delete-project (CONFIRM_PROJECT_NAME)
+  --allow-production-delete  Allow deleting deployments of the production branch (ALLOW_PRODUCTION_DELETE)
+  --match-url                Also match deployments by their branch alias URL (MATCH_DEPLOYMENT_URL)
+  --dry-run                  Only list what would be deleted (DRY_RUN)
+  --json                     Print the result as JSON
+  --verbose                  Print debug logs
+  --api-token <token>        Cloudflare API token (CLOUDFLARE_API_TOKEN)
+  --account-id <id>          Cloudflare account ID (CLOUDFLARE_ACCOUNT_ID)
+  --api-base-url <url>       Base URL of the Cloudflare API (CLOUDFLARE_API_BASE_URL)
+  -h, --help                 Show this help
+`;
+
+// Flags that take a value, mapped to the environment variable they fall back to
+const VALUE_OPTIONS = {
+  'project': 'PROJECT_NAME',
+  'branch': 'BRANCH',
+  'dist': 'DIST_FOLDER',
+  'headers': 'HEADERS',
+  'redirects': 'REDIRECTS',
+  'commit-hash': 'COMMIT_HASH',
+  'commit-message': 'COMMIT_MESSAGE',
+  'validate': 'VALIDATE_DIST',
+  'max-file-count': 'MAX_FILE_COUNT',
+  'confirm': 'CONFIRM_PROJECT_NAME',
+  'api-token': 'CLOUDFLARE_API_TOKEN',
+  'account-id': 'CLOUDFLARE_ACCOUNT_ID',
+  'api-base-url': 'CLOUDFLARE_API_BASE_URL',
+};
+
+// Boolean flags, mapped to the environment variable that enables them with "true"
+const BOOLEAN_OPTIONS = {
+  'allow-production-delete': 'ALLOW_PRODUCTION_DELETE',
+  'match-url': 'MATCH_DEPLOYMENT_URL',
+  'dry-run': 'DRY_RUN',
+  'json': null,
+  'verbose': null,
+};
+
+/**
+ * Reads the command line, falling back to environment variables for options that were not passed
+ * @param {Array<string>} args - Command line arguments after the script name
+ * @returns {{command: string, options: object}}
+ */
+function readCommandLine(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      ...Object.fromEntries(Object.keys(VALUE_OPTIONS).map(name => [name, { type: 'string' }])),
+      ...Object.fromEntries(Object.keys(BOOLEAN_OPTIONS).map(name => [name, { type: 'boolean' }])),
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const options = { help: values.help };
+  for (const [name, variable] of Object.entries(VALUE_OPTIONS)) {
+    options[name] = values[name] ?? process.env[variable];
+  }
+  for (const [name, variable] of Object.entries(BOOLEAN_OPTIONS)) {
+    options[name] = values[name] ?? (variable ? process.env[variable] === 'true' : false);
+  }
+
+  return { command: positionals[0], options };
+}
+
+/**
+ * Turns the workflow commands @actions/core prints into plain log lines on stderr
+ *
+ * Nothing interprets `::add-mask::` outside GitHub Actions, so printing it would leak the
+ * secret it masks. Logs go to stderr to keep stdout for the result.
+ * @param {boolean} verbose - Whether to print debug logs
+ * @returns {function(string): void} - Writes the result to stdout
+ */
+function redirectActionsLogs(verbose) {
+  const writeStdout = process.stdout.write.bind(process.stdout);
+  const unescape = text => text.replace(/%0D/g, '\r').replace(/%0A/g, '\n').replace(/%25/g, '%');
+
+  process.stdout.write = (chunk, ...args) => {
+    const text = String(chunk);
+    const command = text.match(/^::([\w-]+)(?: [^:]*)?::(.*?)\r?\n?$/s);
+    if (!command) {
+      return process.stderr.write(chunk, ...args);
+    }
+
+    const [, name, message] = command;
+    const prefixes = { 'warning': 'warning: ', 'error': 'error: ', 'notice': 'notice: ', 'group': '', 'debug': 'debug: ' };
+    if (name in prefixes && (name !== 'debug' || verbose)) {
+      process.stderr.write(`${prefixes[name]}${unescape(message)}\n`);
+    }
+    return true;
+  };
+
+  return text => writeStdout(`${text}\n`);
+}
+
+/**
+ * Reads a required option
+ * @param {object} options - Options from readCommandLine
+ * @param {string} name - Flag name
+ * @returns {string}
+ */
+function requireOption(options, name) {
+  if (!options[name]) {
+    throw new Error(`--${name} or ${VALUE_OPTIONS[name]} is required`);
+  }
+  return options[name];
+}
+
+/**
+ * Runs a command and formats its result
+ * @param {string} command - Command name
+ * @param {object} options - Options from readCommandLine
+ * @returns {Promise<{result: any, lines: Array<string>, failed: boolean}>}
+ */
+async function runCommand(command, options) {
+  const projectName = requireOption(options, 'project');
+  const branch = options.branch || 'main';
+
+  if (command === 'deploy') {
+    const deployment = await deployToCloudflare({
+      distFolder: requireOption(options, 'dist'),
+      projectName,
+      branch,
+      headers: options.headers,
+      redirects: options.redirects,
+      commitHash: options['commit-hash'],
+      commitMessage: options['commit-message'],
+      validation: {
+        level: options.validate || 'fail',
+        maxFileCount: parseInt(options['max-file-count']) || 20000,
+      },
+    });
+    return { result: deployment, lines: [deployment.url], failed: false };
+  }
+
+  if (command === 'delete-deployment') {
+    const { deleted, failed } = await deleteDeploymentFromCloudflare({
+      projectName,
+      branch,
+      dryRun: options['dry-run'],
+      allowProduction: options['allow-production-delete'],
+      matchUrl: options['match-url'],
+    });
+    const verb = options['dry-run'] ? 'Would delete' : 'Deleted';
+    return {
+      result: { deleted, failed },
+      lines: [`${verb} ${deleted.length} deployments of branch "${branch}"${failed.length ? `, ${failed.length} failed` : ''}`],
+      failed: failed.length > 0,
+    };
+  }
+
+  if (command === 'delete-project') {
+    if (options.confirm !== projectName) {
+      throw new Error(`Refusing to delete "${projectName}": pass --confirm ${projectName} to confirm`);
+    }
+    const deleted = await deleteProjectFromCloudflare({ projectName, dryRun: options['dry-run'] });
+    return {
+      result: { deleted },
+      lines: [`${options['dry-run'] ? 'Would delete' : 'Deleted'} project "${projectName}" and ${deleted.length} deployments`],
+      failed: false,
+    };
+  }
+
+  const deployments = await listDeploymentsFromCloudflare({ projectName, branch: options.branch });
+  return {
+    result: deployments,
+    lines: deployments.map(deployment =>
+      [deployment.id, deployment.environment, deployment.branch || '-', deployment.createdOn, deployment.aliases[0] || deployment.url].join('\t')
+    ),
+    failed: false,
+  };
+}
+
+/**
+ * Entry point of the command line interface
+ * @returns {Promise<void>}
+ */
+async function main() {
+  let command;
+  let options;
+  try {
+    ({ command, options } = readCommandLine(process.argv.slice(2)));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help || !['deploy', 'delete-deployment', 'delete-project', 'list'].includes(command)) {
+    process.stderr.write(command && !options.help ? `Unknown command "${command}"\n\n${USAGE}` : USAGE);
+    process.exitCode = options.help ? 0 : 2;
+    return;
+  }
+
+  const print = redirectActionsLogs(options.verbose);
+  try {
+    configureCloudflare({
+      apiToken: requireOption(options, 'api-token'),
+      accountId: requireOption(options, 'account-id'),
+      apiBaseUrl: options['api-base-url'],
+    });
+
+    const { result, lines, failed } = await runCommand(command, options);
+    print(options.json ? JSON.stringify(result, null, 2) : lines.join('\n'));
+    if (failed) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    process.stderr.write(`error: ${error.message}\n`);
+    process.exitCode = 1;
+  }
+}
+
+main();
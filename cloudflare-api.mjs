@@ -0,0 +1,369 @@
+import * as core from '@actions/core';
+import { sleep } from './util.mjs';
+
+const DEFAULT_API_BASE_URL = 'https://api.cloudflare.com/client/v4';
+
+const DEPLOYMENTS_PAGE_SIZE = 25;
+
+// Retry policy for rate limits, server errors and network failures
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+// Methods that are safe to send again after a server error or a lost connection
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'PATCH'];
+
+// Upper bound on requests in flight across the whole action, shared by every caller
+const MAX_CONCURRENT_REQUESTS = 6;
+
+let activeRequests = 0;
+const waitingRequests = [];
+
+// Set through configureCloudflare, the CLOUDFLARE_* environment variables are the fallback
+let configuration = {};
+
+/**
+ * An error response of the Cloudflare API, built from the `errors` array of the response envelope
+ */
+export class CloudflareApiError extends Error {
+  /**
+   * @param {object} details - Error details
+   * @param {string} details.method - HTTP method of the request
+   * @param {string} details.path - Path of the request URL
+   * @param {number} details.status - HTTP status code
+   * @param {Array<{code: number, message: string}>} [details.errors] - Errors reported by the API
+   * @param {string} [details.body] - Raw response body, used when the API sent no `errors`
+   */
+  constructor({ method, path, status, errors = [], body }) {
+    const reason = errors.length > 0
+      ? errors.map(error => `${error.message} (code ${error.code})`).join('; ')
+      : `${status}${body ? ` - ${body.slice(0, 200)}` : ''}`;
+    super(`${method} ${path} failed: ${reason}`);
+
+    this.name = 'CloudflareApiError';
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.errors = errors;
+    this.code = errors[0]?.code;
+  }
+
+  /**
+   * Whether the request may succeed if sent again
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Sets the credentials every Cloudflare API call uses
+ *
+ * Anything left out falls back to the CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID and
+ * CLOUDFLARE_API_BASE_URL environment variables.
+ * @param {object} options - Credentials
+ * @param {string} [options.apiToken] - Cloudflare API token
+ * @param {string} [options.accountId] - Cloudflare account ID
+ * @param {string} [options.apiBaseUrl] - Base URL of the Cloudflare API, e.g. a mock server in tests
+ * @returns {void}
+ */
+export function configureCloudflare(options = {}) {
+  configuration = { ...options };
+}
+
+/**
+ * Returns the base URL of the Cloudflare API, which can point at a mock server
+ * @returns {string}
+ */
+export function getApiBaseUrl() {
+  return (configuration.apiBaseUrl || process.env.CLOUDFLARE_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Waits for a free request slot, see MAX_CONCURRENT_REQUESTS
+ * @returns {Promise<void>}
+ */
+async function acquireRequestSlot() {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+    activeRequests++;
+    return;
+  }
+  // The slot is handed over by releaseRequestSlot, so the count does not change
+  await new Promise(resolve => waitingRequests.push(resolve));
+}
+
+/**
+ * Hands the request slot to the next waiting request, or frees it
+ * @returns {void}
+ */
+function releaseRequestSlot() {
+  const next = waitingRequests.shift();
+  if (next) {
+    next();
+  } else {
+    activeRequests--;
+  }
+}
+
+/**
+ * Reads a `Retry-After` header, given either in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Computes how long to wait before the next attempt, using exponential backoff with full jitter
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @param {number|null} retryAfter - Delay requested by the server, in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+  }
+  const backoff = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(Math.random() * backoff);
+}
+
+/**
+ * Sends a single request and turns error responses into CloudflareApiError
+ * @param {string} url - Fully qualified request URL
+ * @param {RequestInit} options - Fetch options including the authorization header
+ * @returns {Promise<object>} - The response envelope
+ */
+async function attemptRequest(url, options) {
+  const method = options.method || 'GET';
+  const path = new URL(url).pathname;
+
+  await acquireRequestSlot();
+  let response;
+  let body;
+  try {
+    response = await fetch(url, options);
+    body = await response.text();
+  } finally {
+    releaseRequestSlot();
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    data = null;
+  }
+
+  if (!response.ok || !data?.success) {
+    const error = new CloudflareApiError({ method, path, status: response.status, errors: data?.errors, body });
+    error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Sends a request to the Cloudflare API and returns the whole response envelope
+ *
+ * Rate limited (429) requests are retried with exponential backoff, honoring `Retry-After`
+ * when the API sends it. Failed (5xx) requests and network errors are only retried for
+ * idempotent methods, as the API may have processed a POST whose response was lost; POSTs
+ * that are safe to repeat opt in with `retry: true`.
+ * @param {string} url - Fully qualified request URL
+ * @param {string} token - Bearer token (API token or upload JWT)
+ * @param {RequestInit & {retry?: boolean}} [options] - Additional fetch options
+ * @returns {Promise<{result: any, result_info?: object}>}
+ */
+async function sendRequest(url, token, options = {}) {
+  const { retry, ...fetchOptions } = options;
+  const headers = { 'Authorization': `Bearer ${token}`, ...fetchOptions.headers };
+  if (typeof fetchOptions.body === 'string') {
+    headers['Content-Type'] = 'application/json';
+  }
+  const repeatable = retry ?? IDEMPOTENT_METHODS.includes((fetchOptions.method || 'GET').toUpperCase());
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await attemptRequest(url, { ...fetchOptions, headers });
+    } catch (error) {
+      // fetch rejects with "fetch failed" when the connection fails or is reset
+      const retryable = error instanceof CloudflareApiError
+        ? error.status === 429 || (repeatable && error.retryable)
+        : repeatable && error.message === 'fetch failed';
+      if (!retryable || attempt > MAX_RETRIES) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error.retryAfter ?? null);
+      core.info(`${error.message}, retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt}/${MAX_RETRIES})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Sends a request to the Cloudflare API and unwraps the `result` of the response envelope
+ * @param {string} url - Fully qualified request URL
+ * @param {string} token - Bearer token (API token or upload JWT)
+ * @param {RequestInit & {retry?: boolean}} [options] - Additional fetch options, `retry` makes a POST retry on server errors
+ * @returns {Promise<any>} - The `result` field of the response
+ */
+export async function cloudflareRequest(url, token, options = {}) {
+  const data = await sendRequest(url, token, options);
+  return data.result;
+}
+
+/**
+ * Iterates over every item of a paginated list endpoint
+ *
+ * Follows `result_info.cursor` for cursor-paginated endpoints and `page` numbers otherwise.
+ * @param {string} url - Fully qualified URL of the list endpoint
+ * @param {string} token - Bearer token
+ * @param {object} [options] - Pagination settings
+ * @param {number} [options.perPage] - Number of items requested per page
+ * @returns {AsyncGenerator<any>}
+ */
+export async function* paginate(url, token, options = {}) {
+  const perPage = options.perPage || DEPLOYMENTS_PAGE_SIZE;
+  let page = 1;
+  let cursor;
+
+  for (;;) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set('per_page', String(perPage));
+    if (cursor) {
+      pageUrl.searchParams.set('cursor', cursor);
+    } else {
+      pageUrl.searchParams.set('page', String(page));
+    }
+
+    const data = await sendRequest(pageUrl.toString(), token);
+    yield* data.result;
+
+    const info = data.result_info || {};
+    const nextCursor = info.cursor || info.cursors?.after;
+    if (data.result.length === 0) {
+      return;
+    }
+    if (nextCursor) {
+      cursor = nextCursor;
+      continue;
+    }
+    if (info.total_pages ? page >= info.total_pages : data.result.length < perPage) {
+      return;
+    }
+    page++;
+  }
+}
+
+/**
+ * Builds the API URL of the account from the configured credentials
+ * @returns {{accountUrl: string, token: string}}
+ */
+export function getAccountApi() {
+  const token = configuration.apiToken || process.env.CLOUDFLARE_API_TOKEN;
+  const accountId = configuration.accountId || process.env.CLOUDFLARE_ACCOUNT_ID;
+
+  if (!token || !accountId) {
+    throw new Error('Missing Cloudflare API credentials');
+  }
+
+  return {
+    accountUrl: `${getApiBaseUrl()}/accounts/${accountId}`,
+    token,
+  };
+}
+
+/**
+ * Builds the API URL of a Pages project from the configured credentials
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {{projectUrl: string, token: string}}
+ */
+export function getProjectApi(projectName) {
+  const { accountUrl, token } = getAccountApi();
+  return {
+    projectUrl: `${accountUrl}/pages/projects/${projectName}`,
+    token,
+  };
+}
+
+/**
+ * Fetches a Pages project
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {Promise<object>}
+ */
+export async function getProject(projectName) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  return cloudflareRequest(projectUrl, token);
+}
+
+/**
+ * Lists every deployment of a Pages project, walking all pages of the API response
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {Promise<Array<object>>} - Deployments, newest first
+ */
+export async function listAllDeployments(projectName) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  const deployments = [];
+
+  for await (const deployment of paginate(`${projectUrl}/deployments`, token, { perPage: DEPLOYMENTS_PAGE_SIZE })) {
+    deployments.push(deployment);
+  }
+
+  return deployments;
+}
+
+/**
+ * Deletes a single deployment of a Pages project, including any aliases pointing at it
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDeployment(projectName, deploymentId) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  await cloudflareRequest(`${projectUrl}/deployments/${deploymentId}?force=true`, token, { method: 'DELETE' });
+}
+
+/**
+ * Deletes a Pages project along with all of its deployments
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(projectName) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  await cloudflareRequest(projectUrl, token, { method: 'DELETE' });
+}
+
+/**
+ * Runs an async function over a list of items with at most `limit` calls in flight
+ * @template T, R
+ * @param {Array<T>} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {function(T): Promise<R>} fn - Function to run for each item
+ * @returns {Promise<Array<R>>} - Results in the same order as the items
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index]);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
@@ -0,0 +1,145 @@
+import assert from 'assert/strict';
+import http from 'http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { CloudflareApiError, cloudflareRequest, configureCloudflare, getApiBaseUrl, paginate } from './cloudflare-api.mjs';
+
+let server;
+let requests;
+let handler;
+let inFlight;
+let maxInFlight;
+
+/**
+ * Sends a Cloudflare API response envelope
+ * @param {http.ServerResponse} response - Response to write
+ * @param {number} status - HTTP status code
+ * @param {object} envelope - Response body
+ * @param {object} [headers] - Extra response headers
+ * @returns {void}
+ */
+function reply(response, status, envelope, headers = {}) {
+  response.writeHead(status, { 'content-type': 'application/json', ...headers });
+  response.end(JSON.stringify(envelope));
+}
+
+const ok = result => ({ success: true, errors: [], result });
+const failure = (code, message) => ({ success: false, errors: [{ code, message }], result: null });
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    requests.push({ method: request.method, url: new URL(request.url, 'http://localhost') });
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    response.on('close', () => inFlight--);
+    handler(request, response, requests.length);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  configureCloudflare({ apiToken: 'token', accountId: 'account', apiBaseUrl: `http://127.0.0.1:${server.address().port}` });
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  inFlight = 0;
+  maxInFlight = 0;
+});
+
+describe('cloudflareRequest', () => {
+  it('waits for Retry-After before retrying a rate limited request', async () => {
+    handler = (request, response, count) => count === 1
+      ? reply(response, 429, failure(10000, 'Rate limited'), { 'retry-after': '1' })
+      : reply(response, 200, ok({ id: 'project' }));
+
+    const startedAt = Date.now();
+    const result = await cloudflareRequest(`${getApiBaseUrl()}/projects`, 'token', { method: 'POST', body: '{}' });
+
+    assert.deepEqual(result, { id: 'project' });
+    assert.equal(requests.length, 2);
+    assert.ok(Date.now() - startedAt >= 900, 'the retry was sent before Retry-After elapsed');
+  });
+
+  it('retries a GET after a server error', async () => {
+    handler = (request, response, count) => count === 1
+      ? reply(response, 502, failure(10013, 'Bad gateway'))
+      : reply(response, 200, ok([1, 2]));
+
+    assert.deepEqual(await cloudflareRequest(`${getApiBaseUrl()}/items`, 'token'), [1, 2]);
+    assert.equal(requests.length, 2);
+  });
+
+  it('does not retry a POST after a server error unless it opts in', async () => {
+    handler = (request, response, count) => count === 1
+      ? reply(response, 500, failure(10000, 'Internal error'))
+      : reply(response, 200, ok(true));
+
+    await assert.rejects(
+      cloudflareRequest(`${getApiBaseUrl()}/deployments`, 'token', { method: 'POST', body: '{}' }),
+      error => error instanceof CloudflareApiError && error.status === 500
+    );
+    assert.equal(requests.length, 1);
+
+    requests = [];
+    assert.equal(await cloudflareRequest(`${getApiBaseUrl()}/assets`, 'token', { method: 'POST', body: '{}', retry: true }), true);
+    assert.equal(requests.length, 2);
+  });
+
+  it('fails at once on a client error', async () => {
+    handler = (request, response) => reply(response, 403, failure(10000, 'Authentication error'));
+
+    await assert.rejects(cloudflareRequest(`${getApiBaseUrl()}/items`, 'token'), error => {
+      assert.ok(error instanceof CloudflareApiError);
+      assert.equal(error.status, 403);
+      assert.equal(error.code, 10000);
+      assert.match(error.message, /^GET \/items failed: Authentication error \(code 10000\)$/);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  it('keeps at most 6 requests in flight', async () => {
+    handler = (request, response) => setTimeout(() => reply(response, 200, ok(null)), 50);
+
+    await Promise.all(Array.from({ length: 15 }, () => cloudflareRequest(`${getApiBaseUrl()}/items`, 'token')));
+
+    assert.equal(requests.length, 15);
+    assert.equal(maxInFlight, 6);
+  });
+});
+
+describe('paginate', () => {
+  it('reads every page of a numbered list', async () => {
+    handler = (request, response) => {
+      const page = Number(new URL(request.url, 'http://localhost').searchParams.get('page'));
+      reply(response, 200, { ...ok([`item-${page}a`, `item-${page}b`]), result_info: { page, per_page: 2, total_pages: 3 } });
+    };
+
+    const items = [];
+    for await (const item of paginate(`${getApiBaseUrl()}/items`, 'token', { perPage: 2 })) {
+      items.push(item);
+    }
+
+    assert.deepEqual(items, ['item-1a', 'item-1b', 'item-2a', 'item-2b', 'item-3a', 'item-3b']);
+    assert.deepEqual(requests.map(request => request.url.searchParams.get('page')), ['1', '2', '3']);
+    assert.ok(requests.every(request => request.url.searchParams.get('per_page') === '2'));
+  });
+
+  it('follows cursors', async () => {
+    handler = (request, response) => {
+      const cursor = new URL(request.url, 'http://localhost').searchParams.get('cursor');
+      reply(response, 200, cursor
+        ? { ...ok(['second']), result_info: {} }
+        : { ...ok(['first']), result_info: { cursor: 'next' } });
+    };
+
+    const items = [];
+    for await (const item of paginate(`${getApiBaseUrl()}/items`, 'token')) {
+      items.push(item);
+    }
+
+    assert.deepEqual(items, ['first', 'second']);
+    assert.equal(requests[1].url.searchParams.get('cursor'), 'next');
+  });
+});
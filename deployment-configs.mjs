@@ -0,0 +1,178 @@
+import * as core from '@actions/core';
+import { cloudflareRequest, getProjectApi } from './cloudflare-api.mjs';
+
+const VARIABLE_NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Maps the BINDINGS input shorthand (binding name → string) to the API shape of each binding type
+const BINDING_TYPES = {
+  kv_namespaces: id => ({ namespace_id: id }),
+  d1_databases: id => ({ id }),
+  r2_buckets: name => ({ name }),
+  services: service => ({ service, environment: 'production' }),
+};
+
+/**
+ * Parses `KEY=value` lines into an object
+ * @param {string} input - Raw input value, one variable per line
+ * @param {string} inputName - Name of the action input, used in errors
+ * @returns {Object<string, string>}
+ */
+export function parseVariables(input, inputName) {
+  const variables = {};
+
+  (input || '').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const separatorIndex = trimmed.indexOf('=');
+    const name = separatorIndex === -1 ? trimmed : trimmed.slice(0, separatorIndex).trim();
+    if (separatorIndex === -1 || !VARIABLE_NAME_REGEX.test(name)) {
+      throw new Error(`${inputName} line ${index + 1}: expected "NAME=value"`);
+    }
+
+    variables[name] = trimmed.slice(separatorIndex + 1).trim();
+  });
+
+  return variables;
+}
+
+/**
+ * Parses a BINDINGS input into the API shape of `deployment_configs`
+ * @param {string} input - JSON object keyed by binding type, then binding name
+ * @param {string} inputName - Name of the action input, used in errors
+ * @returns {object}
+ */
+export function parseBindings(input, inputName) {
+  let parsed;
+  try {
+    parsed = JSON.parse(input || '{}');
+  } catch (error) {
+    throw new Error(`${inputName} is not valid JSON: ${error.message}`);
+  }
+
+  const bindings = {};
+  for (const [type, entries] of Object.entries(parsed)) {
+    const toApiShape = BINDING_TYPES[type];
+    if (!toApiShape) {
+      throw new Error(`${inputName}: unknown binding type "${type}", expected one of ${Object.keys(BINDING_TYPES).join(', ')}`);
+    }
+
+    bindings[type] = {};
+    for (const [name, value] of Object.entries(entries || {})) {
+      if (!VARIABLE_NAME_REGEX.test(name)) {
+        throw new Error(`${inputName}: invalid binding name "${name}"`);
+      }
+      bindings[type][name] = typeof value === 'string' ? toApiShape(value) : value;
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Computes the `deployment_configs` patch for a single environment
+ * @param {string} environment - "preview" or "production"
+ * @param {object} current - Current deployment config of the environment
+ * @param {object} declared - Declared configuration
+ * @param {Object<string, string>} declared.vars - Plain text variables
+ * @param {Object<string, string>} declared.secrets - Secret variables
+ * @param {object} declared.bindings - Bindings in API shape
+ * @param {boolean} removeUndeclared - Whether to remove variables that are not declared
+ * @returns {{patch: object, changes: Array<string>}}
+ */
+function diffEnvironment(environment, current, declared, removeUndeclared) {
+  const patch = {};
+  const changes = [];
+  const currentVars = current.env_vars || {};
+  const envVars = {};
+
+  for (const [name, value] of Object.entries(declared.vars)) {
+    const existing = currentVars[name];
+    if (!existing || existing.type !== 'plain_text' || existing.value !== value) {
+      envVars[name] = { type: 'plain_text', value };
+      changes.push(`${environment}: ${existing ? 'update' : 'add'} variable ${name}`);
+    }
+  }
+
+  // Secret values are never returned by the API, so they are always written
+  for (const [name, value] of Object.entries(declared.secrets)) {
+    envVars[name] = { type: 'secret_text', value };
+    changes.push(`${environment}: set secret ${name}`);
+  }
+
+  const hasDeclaredVariables = Object.keys(declared.vars).length > 0 || Object.keys(declared.secrets).length > 0;
+  if (removeUndeclared && hasDeclaredVariables) {
+    for (const name of Object.keys(currentVars)) {
+      if (!(name in declared.vars) && !(name in declared.secrets)) {
+        envVars[name] = null;
+        changes.push(`${environment}: remove undeclared variable ${name}`);
+      }
+    }
+  }
+
+  if (Object.keys(envVars).length > 0) {
+    patch.env_vars = envVars;
+  }
+
+  for (const [type, entries] of Object.entries(declared.bindings)) {
+    for (const [name, value] of Object.entries(entries)) {
+      if (JSON.stringify(current[type]?.[name]) !== JSON.stringify(value)) {
+        patch[type] = { ...patch[type], [name]: value };
+        changes.push(`${environment}: ${current[type]?.[name] ? 'update' : 'add'} ${type} binding ${name}`);
+      }
+    }
+  }
+
+  return { patch, changes };
+}
+
+/**
+ * Applies declared environment variables, secrets and bindings to a Pages project
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} config - Declared configuration per environment
+ * @param {object} [config.preview] - Preview `{ vars, secrets, bindings }`
+ * @param {object} [config.production] - Production `{ vars, secrets, bindings }`
+ * @param {boolean} [config.removeUndeclared] - Remove variables of an environment that are not declared for it
+ * @returns {Promise<Array<string>>} - Descriptions of the changes that were made
+ */
+export async function applyDeploymentConfigs(projectName, config) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  const project = await cloudflareRequest(projectUrl, token);
+
+  const deploymentConfigs = {};
+  const allChanges = [];
+
+  for (const environment of ['preview', 'production']) {
+    const declared = { vars: {}, secrets: {}, bindings: {}, ...config[environment] };
+
+    const { patch, changes } = diffEnvironment(
+      environment,
+      project.deployment_configs?.[environment] || {},
+      declared,
+      config.removeUndeclared
+    );
+
+    if (changes.length > 0) {
+      deploymentConfigs[environment] = patch;
+      allChanges.push(...changes);
+    }
+  }
+
+  if (allChanges.length === 0) {
+    core.info(`Environment variables and bindings of "${projectName}" are up to date`);
+    return allChanges;
+  }
+
+  core.startGroup(`Applying ${allChanges.length} environment changes to project "${projectName}"`);
+  allChanges.forEach(change => core.info(`  ${change}`));
+  core.endGroup();
+
+  await cloudflareRequest(projectUrl, token, {
+    method: 'PATCH',
+    body: JSON.stringify({ deployment_configs: deploymentConfigs }),
+  });
+
+  return allChanges;
+}
@@ -0,0 +1,310 @@
+import * as core from '@actions/core';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { cloudflareRequest, getApiBaseUrl, getProjectApi, mapWithConcurrency } from './cloudflare-api.mjs';
+
+// Keep each upload request comfortably under the API body limit once base64 encoded
+const MAX_BUCKET_SIZE = 40 * 1024 * 1024;
+const MAX_BUCKET_FILE_COUNT = 2000;
+const UPLOAD_CONCURRENCY = 3;
+
+// Files that are sent with the deployment itself (or never deployed) rather than uploaded as assets
+const SPECIAL_FILES = ['_headers', '_redirects', '_routes.json'];
+const ROOT_IGNORED_NAMES = ['_worker.js', 'functions', ...SPECIAL_FILES];
+const IGNORED_NAMES = ['node_modules', '.git', '.DS_Store'];
+
+// Trailer of the commit message that records what a deployment serves, see readContentDigest
+const CONTENT_DIGEST_TRAILER = 'Pages-Content-Digest';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.map': 'application/json',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.wasm': 'application/wasm',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+};
+
+/**
+ * Recursively lists the files of a folder that should be uploaded as assets
+ * @param {string} rootFolder - Folder being deployed
+ * @param {string} [currentFolder] - Folder currently being walked
+ * @returns {Promise<Array<{name: string, absolutePath: string, size: number}>>}
+ */
+export async function listAssetFiles(rootFolder, currentFolder = rootFolder) {
+  const files = [];
+  const entries = await fs.readdir(currentFolder, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const absolutePath = path.join(currentFolder, entry.name);
+    const name = path.relative(rootFolder, absolutePath).split(path.sep).join('/');
+
+    if (IGNORED_NAMES.includes(entry.name) || (currentFolder === rootFolder && ROOT_IGNORED_NAMES.includes(entry.name))) {
+      continue;
+    }
+
+    const stats = await fs.stat(absolutePath);
+    if (stats.isDirectory()) {
+      files.push(...await listAssetFiles(rootFolder, absolutePath));
+    } else if (stats.isFile()) {
+      files.push({ name, absolutePath, size: stats.size });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Refuses to deploy a site that relies on Pages Functions
+ *
+ * wrangler compiled `functions/` from the working directory and `_worker.js` from the build
+ * output into the Pages worker. The Direct Upload API only deploys static assets, so such a
+ * site would go live without its Functions. This check runs whatever the validation level.
+ * @param {string} distFolder - Folder being deployed
+ * @returns {Promise<void>}
+ */
+export async function assertNoPagesFunctions(distFolder) {
+  const candidates = [
+    path.join(distFolder, '_worker.js'),
+    path.join(distFolder, 'functions'),
+    path.resolve('functions'),
+  ];
+
+  const found = [];
+  for (const candidate of [...new Set(candidates.map(candidate => path.resolve(candidate)))]) {
+    try {
+      await fs.access(candidate);
+      found.push(path.relative(process.cwd(), candidate) || candidate);
+    } catch (error) {
+      // Not there, nothing to lose
+    }
+  }
+
+  if (found.length > 0) {
+    throw new Error(`Found Pages Functions in ${found.join(' and ')}, which this action cannot deploy. Deploy this site with "wrangler pages deploy" instead`);
+  }
+}
+
+/**
+ * Computes the content hash used as the asset key, following wrangler's
+ * "base64 contents + extension" scheme (SHA-256 in place of BLAKE3)
+ * @param {Buffer} contents - File contents
+ * @param {string} fileName - File name, used for its extension
+ * @returns {string} - 32 character hex hash
+ */
+function hashFile(contents, fileName) {
+  const extension = path.extname(fileName).substring(1);
+  return createHash('sha256')
+    .update(contents.toString('base64') + extension)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Computes a digest of everything a deployment serves: the asset manifest and the special files
+ * @param {Object<string, string>} manifest - Asset paths mapped to their hashes
+ * @param {Array<{name: string, contents: Buffer}>} specialFiles - Special files sent with the deployment
+ * @returns {string} - Hex SHA-256 digest
+ */
+function computeContentDigest(manifest, specialFiles) {
+  const digest = createHash('sha256');
+  for (const name of Object.keys(manifest).sort()) {
+    digest.update(`${name}\0${manifest[name]}\n`);
+  }
+  for (const file of specialFiles) {
+    digest.update(`${file.name}\0${createHash('sha256').update(file.contents).digest('hex')}\n`);
+  }
+  return digest.digest('hex');
+}
+
+/**
+ * Reads the content digest that uploadToPages recorded on a deployment
+ * @param {object} deployment - Deployment from the Cloudflare API
+ * @returns {string|null} - The digest, or null for deployments made without one
+ */
+export function readContentDigest(deployment) {
+  const message = deployment.deployment_trigger?.metadata?.commit_message || '';
+  return message.match(new RegExp(`^${CONTENT_DIGEST_TRAILER}: ([0-9a-f]{64})$`, 'm'))?.[1] || null;
+}
+
+/**
+ * Removes the content digest trailer from a commit message
+ * @param {string} message - Commit message recorded on a deployment
+ * @returns {string}
+ */
+export function stripContentDigest(message) {
+  return message.replace(new RegExp(`\\n*^${CONTENT_DIGEST_TRAILER}: [0-9a-f]{64}$`, 'm'), '');
+}
+
+/**
+ * Groups files into upload buckets that stay under the per-request size and count limits
+ * @param {Array<{size: number}>} files - Files to upload
+ * @returns {Array<Array<object>>} - Buckets of files
+ */
+function bucketFiles(files) {
+  const buckets = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const file of files) {
+    if (current.length > 0 && (currentSize + file.size > MAX_BUCKET_SIZE || current.length >= MAX_BUCKET_FILE_COUNT)) {
+      buckets.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(file);
+    currentSize += file.size;
+  }
+
+  if (current.length > 0) {
+    buckets.push(current);
+  }
+
+  return buckets;
+}
+
+/**
+ * Uploads a folder to Cloudflare Pages using the Direct Upload API and creates a deployment
+ *
+ * Only files whose hashes Cloudflare does not already have are uploaded, so repeat
+ * deploys of a mostly unchanged site transfer very little data. A digest of the deployed
+ * content is recorded as a trailer of the commit message.
+ * @param {string} distFolder - Path to the distribution folder to deploy
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} branch - Branch name to deploy to
+ * @param {object} [options] - Optional deployment settings
+ * @param {string} [options.commitHash] - Commit SHA attached to the deployment
+ * @param {string} [options.commitMessage] - Commit message attached to the deployment
+ * @param {boolean} [options.requireUploaded] - Fail instead of uploading if any file is not already known to Cloudflare
+ * @param {string} [options.expectedDigest] - Fail unless the folder has this content digest, see readContentDigest
+ * @returns {Promise<object>} - The deployment object returned by the Cloudflare API
+ */
+export async function uploadToPages(distFolder, projectName, branch, options = {}) {
+  const { projectUrl, token: cloudflareApiToken } = getProjectApi(projectName);
+
+  await assertNoPagesFunctions(distFolder);
+
+  // Step 1: Hash every asset in the folder
+  const files = await listAssetFiles(distFolder);
+  for (const file of files) {
+    const contents = await fs.readFile(file.absolutePath);
+    file.hash = hashFile(contents, file.name);
+    file.contentType = CONTENT_TYPES[path.extname(file.name).toLowerCase()] || 'application/octet-stream';
+  }
+  core.info(`Found ${files.length} files to deploy from ${distFolder}`);
+
+  const manifest = Object.fromEntries(files.map(file => [`/${file.name}`, file.hash]));
+  const specialFiles = [];
+  for (const name of SPECIAL_FILES) {
+    try {
+      specialFiles.push({ name, contents: await fs.readFile(path.join(distFolder, name)) });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  const contentDigest = computeContentDigest(manifest, specialFiles);
+  if (options.expectedDigest && options.expectedDigest !== contentDigest) {
+    throw new Error(`The contents of ${distFolder} differ from the deployment being promoted (content digest ${contentDigest.slice(0, 12)}, expected ${options.expectedDigest.slice(0, 12)})`);
+  }
+
+  // Step 2: Ask Cloudflare which hashes it does not have yet
+  const { jwt } = await cloudflareRequest(`${projectUrl}/upload-token`, cloudflareApiToken);
+  core.setSecret(jwt);
+
+  const hashes = [...new Set(files.map(file => file.hash))];
+  const missingHashes = new Set(await cloudflareRequest(`${getApiBaseUrl()}/pages/assets/check-missing`, jwt, {
+    method: 'POST',
+    body: JSON.stringify({ hashes }),
+    retry: true,
+  }));
+
+  const seen = new Set();
+  const filesToUpload = files.filter(file => {
+    if (!missingHashes.has(file.hash) || seen.has(file.hash)) {
+      return false;
+    }
+    seen.add(file.hash);
+    return true;
+  });
+  core.info(`${hashes.length - filesToUpload.length} of ${hashes.length} unique files already uploaded, uploading ${filesToUpload.length}`);
+
+  if (options.requireUploaded && filesToUpload.length > 0) {
+    const examples = filesToUpload.slice(0, 5).map(file => file.name).join(', ');
+    throw new Error(`${filesToUpload.length} files have never been uploaded to Cloudflare (e.g. ${examples}), refusing to deploy new content`);
+  }
+
+  // Step 3: Upload the missing files in size-limited buckets
+  const buckets = bucketFiles(filesToUpload);
+  let uploadedBuckets = 0;
+
+  await mapWithConcurrency(buckets, UPLOAD_CONCURRENCY, async bucket => {
+    const payload = await Promise.all(bucket.map(async file => ({
+      key: file.hash,
+      value: (await fs.readFile(file.absolutePath)).toString('base64'),
+      metadata: { contentType: file.contentType },
+      base64: true,
+    })));
+
+    await cloudflareRequest(`${getApiBaseUrl()}/pages/assets/upload`, jwt, {
+      method: 'POST',
+      body: JSON.stringify(payload),
+      // Assets are keyed by their content hash, so uploading them twice is harmless
+      retry: true,
+    });
+
+    uploadedBuckets++;
+    core.info(`Uploaded batch ${uploadedBuckets}/${buckets.length} (${bucket.length} files)`);
+  });
+
+  await cloudflareRequest(`${getApiBaseUrl()}/pages/assets/upsert-hashes`, jwt, {
+    method: 'POST',
+    body: JSON.stringify({ hashes }),
+    retry: true,
+  });
+
+  // Step 4: Create the deployment from the manifest
+  const trailer = `${CONTENT_DIGEST_TRAILER}: ${contentDigest}`;
+
+  const formData = new FormData();
+  formData.append('manifest', JSON.stringify(manifest));
+  formData.append('branch', branch);
+  if (options.commitHash) {
+    formData.append('commit_hash', options.commitHash);
+  }
+  formData.append('commit_message', options.commitMessage ? `${options.commitMessage.trimEnd()}\n\n${trailer}` : trailer);
+
+  for (const specialFile of specialFiles) {
+    formData.append(specialFile.name, new Blob([specialFile.contents]), specialFile.name);
+    core.info(`Including ${specialFile.name} in deployment`);
+  }
+
+  return cloudflareRequest(`${projectUrl}/deployments`, cloudflareApiToken, {
+    method: 'POST',
+    body: formData,
+  });
+}
@@ -0,0 +1,188 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+
+/**
+ * Works out the GitHub environment a deployment belongs to
+ * @param {string} baseEnvironment - Base environment name, e.g. "preview"
+ * @param {object} options - Deployment context
+ * @param {string} [options.prNumber] - Pull request number, if deploying a PR
+ * @param {string} options.branch - Branch being deployed
+ * @param {boolean} [options.production] - Whether this is a production deployment
+ * @param {string} [options.productionEnvironment] - Environment name used for production
+ * @returns {string}
+ */
+export function resolveEnvironmentName(baseEnvironment, options) {
+  if (options.production) {
+    return options.productionEnvironment || 'production';
+  }
+  if (options.prNumber) {
+    return `${baseEnvironment}/pr-${options.prNumber}`;
+  }
+  return `${baseEnvironment}/${options.branch}`;
+}
+
+/**
+ * Returns the URL of the current workflow run, used as the deployment log URL
+ * @returns {string}
+ */
+function getLogUrl() {
+  const context = github.context;
+  return `${context.serverUrl}/${context.repo.owner}/${context.repo.repo}/actions/runs/${context.runId}`;
+}
+
+/**
+ * Creates a GitHub deployment and marks it as in progress
+ * @param {string} token - GitHub token
+ * @param {object} options - Deployment settings
+ * @param {string} options.environment - Full environment name
+ * @param {string} options.ref - Commit SHA being deployed
+ * @param {boolean} [options.production] - Whether this is a production environment
+ * @param {string} [options.description] - Deployment description
+ * @returns {Promise<number|null>} - The GitHub deployment ID, or null if it could not be created
+ */
+export async function startGitHubDeployment(token, options) {
+  try {
+    const octokit = github.getOctokit(token);
+    const context = github.context;
+
+    core.info(`Creating GitHub deployment for ${options.ref} in environment ${options.environment}`);
+
+    const deployment = await octokit.rest.repos.createDeployment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      ref: options.ref,
+      environment: options.environment,
+      auto_merge: false,
+      required_contexts: [],
+      transient_environment: !options.production,
+      production_environment: Boolean(options.production),
+      description: options.description,
+    });
+
+    await octokit.rest.repos.createDeploymentStatus({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      deployment_id: deployment.data.id,
+      state: 'in_progress',
+      log_url: getLogUrl(),
+      description: 'Deployment in progress',
+    });
+
+    return deployment.data.id;
+  } catch (error) {
+    // Don't fail the action if deployment creation fails
+    core.warning(`Failed to create GitHub deployment: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Writes the final status of a GitHub deployment
+ * @param {string} token - GitHub token
+ * @param {number|null} deploymentId - GitHub deployment ID from startGitHubDeployment
+ * @param {string} state - "success" or "failure"
+ * @param {object} [options] - Status details
+ * @param {string} [options.url] - URL of the deployed site
+ * @param {string} [options.description] - Status description
+ * @returns {Promise<void>}
+ */
+export async function finishGitHubDeployment(token, deploymentId, state, options = {}) {
+  if (!deploymentId) {
+    return;
+  }
+
+  try {
+    const octokit = github.getOctokit(token);
+    const context = github.context;
+
+    await octokit.rest.repos.createDeploymentStatus({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      deployment_id: deploymentId,
+      state,
+      environment_url: options.url,
+      log_url: getLogUrl(),
+      // Status descriptions are limited to 140 characters
+      description: options.description?.slice(0, 140),
+    });
+
+    core.info(`GitHub deployment ${deploymentId} marked as ${state}${options.url ? `: ${options.url}` : ''}`);
+  } catch (error) {
+    // Don't fail the action if the status update fails
+    core.warning(`Failed to update GitHub deployment status: ${error.message}`);
+  }
+}
+
+/**
+ * Deactivates any active GitHub deployments in an environment
+ * @param {string} token - GitHub token
+ * @param {string} environment - Full environment name
+ * @returns {Promise<void>}
+ */
+export async function deactivateGitHubDeployments(token, environment) {
+  try {
+    const octokit = github.getOctokit(token);
+    const context = github.context;
+
+    core.info(`Deactivating GitHub deployments in environment ${environment}`);
+
+    const deployments = await octokit.paginate(octokit.rest.repos.listDeployments, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      environment,
+      per_page: 100,
+    });
+
+    if (deployments.length === 0) {
+      core.info('No active deployments found for this environment');
+      return;
+    }
+
+    // Mark each deployment as inactive
+    for (const deployment of deployments) {
+      await octokit.rest.repos.createDeploymentStatus({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        deployment_id: deployment.id,
+        state: 'inactive',
+        description: 'Environment was cleaned up',
+      });
+      core.info(`Deactivated deployment ${deployment.id}`);
+    }
+
+    core.info(`Successfully deactivated ${deployments.length} deployment(s)`);
+  } catch (error) {
+    // Don't fail the action if deactivation fails
+    core.warning(`Failed to deactivate GitHub deployments: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a GitHub environment along with its deployments
+ *
+ * Requires a token with administration permission on the repository, which the
+ * default workflow token does not have.
+ * @param {string} token - GitHub token
+ * @param {string} environment - Full environment name
+ * @returns {Promise<void>}
+ */
+export async function deleteGitHubEnvironment(token, environment) {
+  try {
+    const octokit = github.getOctokit(token);
+    const context = github.context;
+
+    await octokit.rest.repos.deleteAnEnvironment({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      environment_name: environment,
+    });
+
+    core.info(`Deleted GitHub environment ${environment}`);
+  } catch (error) {
+    if (error.status === 404) {
+      core.info(`GitHub environment ${environment} does not exist`);
+    } else {
+      core.warning(`Failed to delete GitHub environment ${environment}: ${error.message}`);
+    }
+  }
+}
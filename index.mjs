@@ -1,8 +1,29 @@
 import * as core from '@actions/core';
-import * as exec from '@actions/exec';
 import * as github from '@actions/github';
-import { promises as fs } from 'fs';
-import path from 'path';
+import { commentDeployment, commentSitesDeployment, commentSitesTeardown, commentTeardown } from './pr-comment.mjs';
+import { configureCloudflare, deleteDeployment, getProject, mapWithConcurrency } from './cloudflare-api.mjs';
+import { deleteDeploymentFromCloudflare, deleteProjectFromCloudflare, deployToCloudflare } from './pages.mjs';
+import { pruneDeployments } from './prune.mjs';
+import { promoteToProduction, rollbackProduction } from './production.mjs';
+import { parseSmokeCheckPaths, runSmokeChecks } from './smoke-checks.mjs';
+import { ensureProject } from './project.mjs';
+import { applyDeploymentConfigs, parseBindings, parseVariables } from './deployment-configs.mjs';
+import {
+  deactivateGitHubDeployments,
+  deleteGitHubEnvironment,
+  finishGitHubDeployment,
+  resolveEnvironmentName,
+  startGitHubDeployment,
+} from './github-deployments.mjs';
+import { sweepPreviews } from './sweep.mjs';
+import { setResultOutputs, timed, writeJobSummary } from './job-summary.mjs';
+import { parseSites } from './sites.mjs';
+import { resolveBranchUrl } from './branch-alias.mjs';
+import { ensurePreviewAccess } from './access.mjs';
+import { attachPreviewDomain, detachPreviewDomain, renderPreviewDomain } from './preview-domain.mjs';
+import { checkSuperseded } from './supersede.mjs';
+import { buildManifest, checkSizeBudget, compareManifests, loadManifest, parseSize, renderAssetReport, writeManifest } from './asset-manifest.mjs';
+import { renderTemplate } from './util.mjs';
 
 /**
  * Main entry point for the action
@@ -10,525 +31,661 @@ import path from 'path';
  * @returns {Promise<void>}
  */
 async function run() {
+  const startedAt = Date.now();
+  let result;
+  
   try {
+    const sitesInput = core.getInput('SITES');
     const cloudflareApiToken = core.getInput('CLOUDFLARE_API_TOKEN', { required: true });
     const cloudflareAccountId = core.getInput('CLOUDFLARE_ACCOUNT_ID', { required: true });
-    const distFolder = core.getInput('DIST_FOLDER', { required: true });
-    const projectName = core.getInput('PROJECT_NAME', { required: true });
-    const branch = core.getInput('BRANCH') || 'main';
     const event = core.getInput('EVENT') || 'deploy';
+    // Only deploying and promoting read the build output
+    const distFolder = core.getInput('DIST_FOLDER', { required: !sitesInput && ['deploy', 'promote'].includes(event) });
+    const projectName = core.getInput('PROJECT_NAME', { required: !sitesInput });
+    const branch = core.getInput('BRANCH') || 'main';
     const headers = core.getInput('HEADERS') || '{}';
+    const redirects = core.getInput('REDIRECTS') || '{}';
     const githubToken = core.getInput('GITHUB_TOKEN');
     const environmentName = core.getInput('ENVIRONMENT_NAME') || 'preview';
     const commentOnPr = core.getInput('COMMENT_ON_PR') === 'true';
     const commentOnPrCleanup = core.getInput('COMMENT_ON_PR_CLEANUP') === 'true';
+    const productionEnvironmentName = core.getInput('PRODUCTION_ENVIRONMENT_NAME') || 'production';
+    const deploymentId = core.getInput('DEPLOYMENT_ID');
+    const commentTemplate = core.getInput('COMMENT_TEMPLATE');
+    const commentCleanupTemplate = core.getInput('COMMENT_CLEANUP_TEMPLATE');
     const prNumber = core.getInput('PR_NUMBER') || (github.context.payload.pull_request?.number?.toString() || '');
+    const smokeCheck = core.getInput('SMOKE_CHECK') === 'true';
+    const commitSha = github.context.payload.pull_request?.head?.sha || github.context.sha;
+    const settings = {
+      githubToken,
+      environmentName,
+      productionEnvironmentName,
+      prNumber,
+      commitSha,
+      ensureProject: core.getInput('ENSURE_PROJECT') === 'true',
+      deploymentConfigs: readDeploymentConfigs(),
+      smokeCheckPaths: smokeCheck ? parseSmokeCheckPaths(core.getInput('SMOKE_CHECK_PATHS')) : null,
+      deleteEnvironment: core.getInput('DELETE_GITHUB_ENVIRONMENT') === 'true',
+      validation: {
+        level: core.getInput('VALIDATE_DIST') || 'fail',
+        maxFileCount: parseInt(core.getInput('MAX_FILE_COUNT')) || 20000,
+      },
+      multiSite: Boolean(sitesInput),
+      dryRun: core.getInput('DRY_RUN') === 'true',
+      allowProductionDelete: core.getInput('ALLOW_PRODUCTION_DELETE') === 'true',
+      matchDeploymentUrl: core.getInput('MATCH_DEPLOYMENT_URL') === 'true',
+      access: core.getInput('ACCESS_PROTECT_PREVIEWS') === 'true' ? {
+        emailDomains: parseList(core.getInput('ACCESS_ALLOWED_EMAIL_DOMAINS')),
+        groups: parseList(core.getInput('ACCESS_ALLOWED_GROUPS')),
+        // Smoke checks cannot get past Access without a service token
+        serviceToken: core.getInput('ACCESS_SERVICE_TOKEN') === 'true' || smokeCheck,
+        serviceTokenCredentials: core.getInput('ACCESS_CLIENT_ID') ? {
+          clientId: core.getInput('ACCESS_CLIENT_ID'),
+          clientSecret: core.getInput('ACCESS_CLIENT_SECRET'),
+        } : null,
+        rotateServiceToken: core.getInput('ACCESS_ROTATE_SERVICE_TOKEN') === 'true',
+      } : null,
+      previewDomain: core.getInput('PREVIEW_DOMAIN') ? {
+        template: core.getInput('PREVIEW_DOMAIN'),
+        zoneId: core.getInput('PREVIEW_DOMAIN_ZONE_ID'),
+        timeoutSeconds: parseInt(core.getInput('PREVIEW_DOMAIN_TIMEOUT')) || 300,
+      } : null,
+      assets: readAssetSettings(),
+      supersedeCheck: core.getInput('SUPERSEDE_CHECK') !== 'false',
+      deleteSuperseded: core.getInput('DELETE_SUPERSEDED') === 'true',
+    };
 
-    if (!cloudflareApiToken || !cloudflareAccountId || !projectName) {
+    if (!cloudflareApiToken || !cloudflareAccountId || (!projectName && !sitesInput)) {
       throw new Error('Required inputs CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID, and PROJECT_NAME must be non-empty');
     }
 
-    if (event !== 'deploy' && event !== 'delete-project' && event !== 'delete-deployment') {
-      throw new Error('EVENT must be either "deploy", "delete-deployment", or "delete-project"');
+    if (!['fail', 'warn', 'off'].includes(settings.validation.level)) {
+      throw new Error('VALIDATE_DIST must be either "fail", "warn", or "off"');
+    }
+
+    if (settings.access && !settings.access.emailDomains.length && !settings.access.groups.length) {
+      throw new Error('ACCESS_PROTECT_PREVIEWS needs ACCESS_ALLOWED_EMAIL_DOMAINS or ACCESS_ALLOWED_GROUPS');
+    }
+
+    if (settings.previewDomain && !settings.previewDomain.zoneId) {
+      throw new Error('PREVIEW_DOMAIN needs PREVIEW_DOMAIN_ZONE_ID, the zone to create the DNS record in');
+    }
+
+    if (settings.previewDomain && sitesInput && !/\{\{\s*project\s*\}\}/.test(settings.previewDomain.template)) {
+      throw new Error('PREVIEW_DOMAIN must contain {{project}} with SITES, so every site gets its own hostname');
+    }
+
+    if (settings.assets && sitesInput && [settings.assets.manifestPath, settings.assets.baselineManifest].some(value => value && !/\{\{\s*project\s*\}\}/.test(value))) {
+      throw new Error('ASSET_MANIFEST and ASSET_BASELINE_MANIFEST must contain {{project}} with SITES, so every site gets its own manifest');
+    }
+
+    if (settings.previewDomain && settings.access) {
+      core.warning('ACCESS_PROTECT_PREVIEWS only covers the pages.dev hostnames, protect the PREVIEW_DOMAIN hostnames with an Access application of your own');
+    }
+
+    if (!['deploy', 'delete-deployment', 'delete-project', 'prune', 'sweep', 'rollback', 'promote'].includes(event)) {
+      throw new Error('EVENT must be either "deploy", "delete-deployment", "delete-project", "prune", "sweep", "rollback", or "promote"');
+    }
+
+    if (sitesInput && !['deploy', 'delete-deployment', 'delete-project'].includes(event)) {
+      throw new Error('SITES can only be used with EVENT "deploy", "delete-deployment", or "delete-project"');
     }
 
     core.setSecret(cloudflareApiToken);
     if (githubToken) {
       core.setSecret(githubToken);
     }
+    if (settings.access?.serviceTokenCredentials?.clientSecret) {
+      core.setSecret(settings.access.serviceTokenCredentials.clientSecret);
+    }
     
-    process.env.CLOUDFLARE_API_TOKEN = cloudflareApiToken;
-    process.env.CLOUDFLARE_ACCOUNT_ID = cloudflareAccountId;
+    configureCloudflare({
+      apiToken: cloudflareApiToken,
+      accountId: cloudflareAccountId,
+      apiBaseUrl: core.getInput('CLOUDFLARE_API_BASE_URL'),
+    });
+
+    // Collects what the event did for the outputs and the job summary
+    result = { event, project: projectName, branch, status: 'success', timings: [] };
+    if (settings.dryRun) {
+      result.dryRun = true;
+      core.info('Dry run: nothing will be deleted, the deployments that would be deleted are listed instead');
+    }
 
-    if (event === 'deploy') {
-      const deployUrl = await deployToCloudflare(distFolder, projectName, branch, headers);
+    if (sitesInput) {
+      const sites = parseSites(sitesInput, { branch, headers, redirects }, event === 'deploy');
+      const concurrency = parseInt(core.getInput('SITES_CONCURRENCY')) || 3;
+      Object.assign(result, { project: undefined, sha: event === 'deploy' ? commitSha : undefined });
+      if (event === 'delete-project') {
+        confirmProjectDeletion(sites.map(site => site.project));
+      }
+      
+      core.info(`Running ${event} for ${sites.length} sites, ${concurrency} at a time`);
+      result.sites = await timed(result.timings, `${event === 'deploy' ? 'Deploy' : 'Delete'} ${sites.length} sites`, () =>
+        mapWithConcurrency(sites, concurrency, async site => {
+          const siteResult = { project: site.project, branch: site.branch, status: 'success', timings: [] };
+          try {
+            if (event === 'deploy') {
+              await deploySite(site, settings, siteResult);
+            } else {
+              await deleteSite(event, site, settings, siteResult);
+            }
+          } catch (error) {
+            Object.assign(siteResult, { status: 'failure', error: error.message });
+            core.error(`${site.project}: ${error.message}`);
+          }
+          return siteResult;
+        })
+      );
+      
+      if (event !== 'deploy') {
+        result.deletedCount = result.sites.reduce((total, site) => total + (site.deletedCount || 0), 0);
+      }
+      
+      // A newer run reports every site when any of them was superseded
+      const superseded = result.sites.some(site => site.superseded);
+      if (githubToken && prNumber && (event === 'deploy' ? commentOnPr && !superseded : commentOnPrCleanup && !settings.dryRun)) {
+        // One comment lists every site, so reviewers find all previews in one place
+        try {
+          if (event === 'deploy') {
+            const assetReports = result.sites
+              .filter(site => site.assets)
+              .map(site => renderAssetReport(site.assets, `📦 Assets: ${site.project}`));
+            await commentSitesDeployment(githubToken, prNumber, result.sites.map(site => ({ ...site, sha: commitSha })), { sha: commitSha, branch }, commentTemplate, assetReports.join('\n\n'));
+          } else {
+            await commentSitesTeardown(githubToken, prNumber, result.sites.filter(site => site.status === 'success').map(site => site.project), branch, commentCleanupTemplate);
+          }
+          core.info(`Updated combined deployment comment on PR #${prNumber}`);
+        } catch (commentError) {
+          // Don't fail the whole action if commenting fails
+          core.warning(`Failed to update combined deployment comment on PR #${prNumber}: ${commentError.message}`);
+        }
+      }
+      
+      const failedSites = result.sites.filter(site => site.status === 'failure');
+      if (failedSites.length > 0) {
+        throw new Error(`${failedSites.length} of ${sites.length} sites failed: ${failedSites.map(site => site.project).join(', ')}`);
+      }
+    } else if (event === 'deploy') {
+      const serviceToken = await deploySite({ dist: distFolder, project: projectName, branch, headers, redirects }, settings, result);
+      if (serviceToken?.clientSecret) {
+        // Kept out of the result, which ends up in result-json and the job summary
+        core.setOutput('access-client-id', serviceToken.clientId);
+        core.setOutput('access-client-secret', serviceToken.clientSecret);
+      }
       
       if (githubToken) {
-        // Create GitHub deployment if token is provided
-        await createGitHubDeployment(githubToken, deployUrl, environmentName);
-        
         // Comment on PR with deployment URL if enabled and PR number is available
-        if (commentOnPr && prNumber) {
+        if (commentOnPr && prNumber && !result.superseded) {
           try {
-            await commentOnPullRequest(
-              githubToken,
-              prNumber,
-              `🚀 PR Preview deployed to: ${deployUrl}`
-            );
-            core.info(`Added deployment comment to PR #${prNumber}`);
+            await commentDeployment(githubToken, prNumber, projectName, {
+              url: result.url,
+              aliasUrl: result.aliasUrl,
+              deploymentUrl: result.deploymentUrl,
+              sha: commitSha,
+              branch,
+            }, commentTemplate, result.assets && renderAssetReport(result.assets, '📦 Assets'));
+            core.info(`Updated deployment comment on PR #${prNumber}`);
           } catch (commentError) {
             // Don't fail the whole action if commenting fails
-            core.warning(`Failed to add deployment comment to PR #${prNumber}: ${commentError.message}`);
+            core.warning(`Failed to update deployment comment on PR #${prNumber}: ${commentError.message}`);
           }
         }
       } else {
         core.info('No GitHub token provided, skipping deployment status creation and PR comments');
       }
-    } else if (event === 'delete-deployment') {
-      // Delete specific deployment but keep the project
-      await deleteDeploymentFromCloudflare(projectName, branch);
+    } else if (event === 'delete-deployment' || event === 'delete-project') {
+      // Delete the branch's deployments but keep the project, or delete the entire project
+      if (event === 'delete-project') {
+        confirmProjectDeletion([projectName]);
+      }
+      await deleteSite(event, { project: projectName, branch }, settings, result);
       
       if (githubToken) {
-        // Deactivate GitHub deployments if token is provided
-        await deactivateGitHubDeployments(githubToken, environmentName);
-        
         // Add cleanup comment on PR if enabled and PR number is available
-        if (commentOnPrCleanup && prNumber) {
+        if (commentOnPrCleanup && prNumber && !settings.dryRun) {
           try {
-            await commentOnPullRequest(
-              githubToken,
-              prNumber,
-              `🧹 PR Preview environment has been cleaned up.`
-            );
-            core.info(`Added cleanup comment to PR #${prNumber}`);
+            await commentTeardown(githubToken, prNumber, projectName, branch, commentCleanupTemplate);
+            core.info(`Marked deployment comment on PR #${prNumber} as torn down`);
           } catch (commentError) {
             // Don't fail the whole action if commenting fails
-            core.warning(`Failed to add cleanup comment to PR #${prNumber}: ${commentError.message}`);
+            core.warning(`Failed to update cleanup comment on PR #${prNumber}: ${commentError.message}`);
           }
         }
       } else {
         core.info('No GitHub token provided, skipping deployment deactivation and PR comments');
       }
-    } else {
-      // Delete entire project (original behavior)
-      await deleteProjectFromCloudflare(projectName);
+    } else if (event === 'prune') {
+      // Remove old deployments according to the retention policy
+      const report = await timed(result.timings, 'Prune deployments', () => pruneDeployments(projectName, {
+        keepLatest: parseInt(core.getInput('PRUNE_KEEP_LATEST')) || 0,
+        olderThanDays: parseFloat(core.getInput('PRUNE_OLDER_THAN_DAYS')) || 0,
+        concurrency: parseInt(core.getInput('PRUNE_CONCURRENCY')) || 5,
+        dryRun: settings.dryRun,
+      }));
+      Object.assign(result, {
+        deleted: report.removed,
+        deletedCount: report.removed.length,
+        failedCount: report.failed.length,
+        keptCount: report.kept.length,
+      });
+    } else if (event === 'sweep') {
+      // Tear down previews of branches whose pull requests are closed or merged
+      const branches = await timed(result.timings, 'Sweep previews', () => sweepPreviews(githubToken, projectName, {
+        keepBranches: parseList(core.getInput('SWEEP_KEEP_BRANCHES')),
+        environmentName,
+        previewDomain: settings.previewDomain,
+        dryRun: settings.dryRun,
+      }));
+      Object.assign(result, {
+        branches,
+        deletedCount: branches.reduce((total, entry) => total + entry.deleted, 0),
+        failedCount: branches.reduce((total, entry) => total + entry.failed, 0),
+      });
+    } else if (event === 'rollback' || event === 'promote') {
+      // Re-point production at an existing deployment without rebuilding
+      const deployment = event === 'rollback'
+        ? await timed(result.timings, 'Roll back production', () => rollbackProduction(projectName, deploymentId))
+        : await timed(result.timings, 'Promote to production', () => promoteToProduction(distFolder, projectName, deploymentId, { headers, redirects }));
+      // Production is served from the project subdomain, whichever deployment it points at
+      const project = await getProject(projectName);
+      const productionUrl = resolveBranchUrl(project, project.production_branch).url;
+      const productionSha = deployment.deployment_trigger?.metadata?.commit_hash || github.context.sha;
+      Object.assign(result, {
+        branch: deployment.deployment_trigger?.metadata?.branch || branch,
+        deploymentId: deployment.id,
+        url: productionUrl,
+        aliasUrl: productionUrl,
+        deploymentUrl: deployment.url,
+        environment: deployment.environment,
+        githubEnvironment: productionEnvironmentName,
+        sha: productionSha,
+      });
       
       if (githubToken) {
-        // Deactivate GitHub deployments if token is provided
-        await deactivateGitHubDeployments(githubToken, environmentName);
-        
-        // Add cleanup comment on PR if enabled and PR number is available
-        if (commentOnPrCleanup && prNumber) {
-          try {
-            await commentOnPullRequest(
-              githubToken,
-              prNumber,
-              `🧹 PR Preview environment has been cleaned up.`
-            );
-            core.info(`Added cleanup comment to PR #${prNumber}`);
-          } catch (commentError) {
-            // Don't fail the whole action if commenting fails
-            core.warning(`Failed to add cleanup comment to PR #${prNumber}: ${commentError.message}`);
-          }
-        }
+        const githubDeploymentId = await startGitHubDeployment(githubToken, {
+          environment: productionEnvironmentName,
+          ref: productionSha,
+          production: true,
+        });
+        await finishGitHubDeployment(githubToken, githubDeploymentId, 'success', {
+          url: productionUrl,
+          description: event === 'rollback' ? `Rolled back to deployment ${deployment.id}` : `Promoted deployment ${deploymentId}`,
+        });
       } else {
-        core.info('No GitHub token provided, skipping deployment deactivation and PR comments');
+        core.info('No GitHub token provided, skipping deployment status creation');
       }
     }
 
   } catch (error) {
     core.setFailed(`Action failed: ${error.message}`);
+    if (result) {
+      Object.assign(result, { status: 'failure', error: error.message });
+    }
+  }
+
+  if (result) {
+    result.durationMs = Date.now() - startedAt;
+    setResultOutputs(result);
+    await writeJobSummary(result);
   }
 }
 
 /**
- * Comments on a pull request
- * @param {string} token - GitHub token
- * @param {string} prNumber - Pull request number
- * @param {string} comment - Comment body
- * @returns {Promise<void>}
+ * Makes sure every project about to be deleted was confirmed by name in CONFIRM_PROJECT_NAME
+ * @param {Array<string>} projects - Names of the projects to delete
+ * @returns {void}
  */
-async function commentOnPullRequest(token, prNumber, comment) {
-  if (!token || !prNumber) {
-    throw new Error('GitHub token and PR number are required to comment on a PR');
-  }
-  
-  const octokit = github.getOctokit(token);
-  const context = github.context;
+function confirmProjectDeletion(projects) {
+  const confirmed = parseList(core.getInput('CONFIRM_PROJECT_NAME'));
+  const unconfirmed = projects.filter(project => !confirmed.includes(project));
   
-  core.info(`Adding comment to PR #${prNumber}`);
-  
-  try {
-    await octokit.rest.issues.createComment({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      issue_number: parseInt(prNumber),
-      body: comment
-    });
-  } catch (error) {
-    throw new Error(`Failed to comment on PR #${prNumber}: ${error.message}`);
+  if (unconfirmed.length > 0) {
+    throw new Error(`Refusing to delete ${unconfirmed.map(project => `"${project}"`).join(', ')}: set CONFIRM_PROJECT_NAME to the exact project name to confirm`);
   }
 }
 
 /**
- * Creates a GitHub deployment and deployment status
- * @param {string} token - GitHub token
- * @param {string} url - Deployment URL
- * @param {string} environment - Environment name
- * @returns {Promise<void>}
+ * Resolves the GitHub environment of a site, giving each site of a SITES run its own environment
+ * @param {string} project - Cloudflare Pages project name
+ * @param {object} settings - Settings read by run()
+ * @param {object} options - See resolveEnvironmentName
+ * @returns {string}
  */
-async function createGitHubDeployment(token, url, environment) {
-  try {
-    const octokit = github.getOctokit(token);
-    const context = github.context;
-    
-    // Only create deployment for pull requests
-    if (!context.payload.pull_request) {
-      core.info('Not a pull request, skipping GitHub deployment creation');
-      return;
-    }
-    
-    const prNumber = context.payload.pull_request.number;
-    const sha = context.payload.pull_request.head.sha;
-    const envName = `${environment}/pr-${prNumber}`;
-    
-    core.info(`Creating GitHub deployment for PR #${prNumber} (${sha}) in environment ${envName}`);
-    
-    try {
-      // Create deployment
-      const deployment = await octokit.rest.repos.createDeployment({
-        owner: context.repo.owner,
-        repo: context.repo.repo,
-        ref: sha,
-        environment: envName,
-        auto_merge: false,
-        required_contexts: [],
-        transient_environment: true,
-      });
-      
-      // Create deployment status
-      await octokit.rest.repos.createDeploymentStatus({
-        owner: context.repo.owner,
-        repo: context.repo.repo,
-        deployment_id: deployment.data.id,
-        state: 'success',
-        environment_url: url,
-        description: 'Preview deployment is live',
-      });
-      
-      core.info(`GitHub deployment created successfully: ${url}`);
-    } catch (error) {
-      // Don't fail the action if deployment creation fails
-      core.warning(`Failed to create GitHub deployment: ${error.message}`);
-    }
-  } catch (error) {
-    core.warning(`Error setting up GitHub deployment: ${error.message}`);
-  }
+function resolveSiteEnvironment(project, settings, options) {
+  const environment = resolveEnvironmentName(settings.environmentName, {
+    prNumber: settings.prNumber,
+    productionEnvironment: settings.productionEnvironmentName,
+    ...options,
+  });
+  return settings.multiSite ? `${environment}/${project}` : environment;
 }
 
 /**
- * Deactivates any active GitHub deployments for the PR
- * @param {string} token - GitHub token
- * @param {string} environment - Base environment name
- * @returns {Promise<void>}
+ * Deploys one site and tracks it as a GitHub deployment
+ * @param {{dist: string, project: string, branch: string, headers: string, redirects: string}} site - Site to deploy
+ * @param {object} settings - Settings read by run()
+ * @param {object} result - Result of the site, filled in as the deploy progresses
+ * @returns {Promise<{clientId: string, clientSecret: string}|null>} - Access service token for the previews, if one was issued
  */
-async function deactivateGitHubDeployments(token, environment) {
+async function deploySite(site, settings, result) {
+  const { githubToken, commitSha } = settings;
+  
+  if (settings.ensureProject) {
+    // Create or reconcile the Pages project before uploading to it
+    await timed(result.timings, 'Ensure project', () => ensureProject(site.project, {
+      productionBranch: core.getInput('PRODUCTION_BRANCH'),
+      buildOutputDir: core.getInput('BUILD_OUTPUT_DIR'),
+      previewBranchIncludes: parseList(core.getInput('PREVIEW_BRANCH_INCLUDES')),
+      previewBranchExcludes: parseList(core.getInput('PREVIEW_BRANCH_EXCLUDES')),
+    }));
+  }
+  
+  const project = await getProject(site.project);
+  const { production } = resolveBranchUrl(project, site.branch);
+  const githubEnvironment = resolveSiteEnvironment(site.project, settings, { branch: site.branch, production });
+  Object.assign(result, { sha: commitSha, githubEnvironment });
+  const githubDeploymentId = githubToken
+    ? await startGitHubDeployment(githubToken, { environment: githubEnvironment, ref: commitSha, production })
+    : null;
+  
+  let deployment;
+  let serviceToken = null;
   try {
-    const octokit = github.getOctokit(token);
-    const context = github.context;
+    if (settings.assets) {
+      // Check the size budget before anything changes on Cloudflare
+      result.assets = await timed(result.timings, 'Compare assets', () => reportAssets(site, settings.assets));
+      if (result.assets.budgetExceeded.length > 0) {
+        throw new Error(`Size budget exceeded: ${result.assets.budgetExceeded.join('; ')}`);
+      }
+    }
     
-    // Only deactivate deployments for pull requests
-    if (!context.payload.pull_request) {
-      core.info('Not a pull request, skipping GitHub deployment deactivation');
-      return;
+    if (settings.access) {
+      // Protect the previews before the new one goes live
+      const access = await timed(result.timings, 'Protect previews with Access', () => ensurePreviewAccess(project, settings.access));
+      serviceToken = access.serviceToken;
+      Object.assign(result, { accessApplicationId: access.applicationId, accessClientId: serviceToken?.clientId });
     }
     
-    const prNumber = context.payload.pull_request.number;
-    const envName = `${environment}/pr-${prNumber}`;
+    if (settings.deploymentConfigs) {
+      // Apply environment variables, secrets and bindings before the deployment picks them up
+      await timed(result.timings, 'Apply environment configuration', () => applyDeploymentConfigs(site.project, settings.deploymentConfigs));
+    }
     
-    core.info(`Deactivating GitHub deployments for PR #${prNumber} in environment ${envName}`);
+    deployment = await timed(result.timings, 'Validate and upload', () => deployToCloudflare({
+      distFolder: site.dist,
+      projectName: site.project,
+      project,
+      branch: site.branch,
+      headers: site.headers,
+      redirects: site.redirects,
+      commitHash: commitSha,
+      commitMessage: github.context.payload.head_commit?.message,
+      validation: { ...settings.validation, onReport: report => { result.validation = report; } },
+    }));
     
-    try {
-      // Get active deployments for this environment
-      const deployments = await octokit.rest.repos.listDeployments({
-        owner: context.repo.owner,
-        repo: context.repo.repo,
-        environment: envName,
-      });
-      
-      if (deployments.data.length === 0) {
-        core.info('No active deployments found for this environment');
-        return;
+    const previewHostname = settings.previewDomain && !production
+      ? renderPreviewDomain(settings.previewDomain.template, { prNumber: settings.prNumber, branch: site.branch, project: site.project })
+      : null;
+    if (previewHostname) {
+      // Serve the preview from our own domain, e.g. for OAuth callbacks and cookie scoping
+      const domainUrl = await timed(result.timings, 'Attach preview domain', () => attachPreviewDomain(project, site.branch, previewHostname, settings.previewDomain));
+      if (domainUrl) {
+        deployment = { ...deployment, url: domainUrl };
       }
+    }
+    Object.assign(result, {
+      deploymentId: deployment.id,
+      url: deployment.url,
+      aliasUrl: deployment.aliasUrl,
+      deploymentUrl: deployment.deploymentUrl,
+      environment: deployment.environment,
+    });
+    
+    if (settings.smokeCheckPaths) {
+      const { passed } = await timed(result.timings, 'Smoke checks', () => runSmokeChecks(deployment.deploymentUrl, {
+        paths: settings.smokeCheckPaths,
+        versionFile: core.getInput('SMOKE_CHECK_VERSION_FILE'),
+        expectedSha: commitSha,
+        timeoutSeconds: parseInt(core.getInput('SMOKE_CHECK_TIMEOUT')) || 120,
+        baseUrl: core.getInput('SMOKE_CHECK_BASE_URL'),
+        headers: serviceToken?.clientSecret ? {
+          'CF-Access-Client-Id': serviceToken.clientId,
+          'CF-Access-Client-Secret': serviceToken.clientSecret,
+        } : undefined,
+      }));
       
-      // Mark each deployment as inactive
-      for (const deployment of deployments.data) {
-        await octokit.rest.repos.createDeploymentStatus({
-          owner: context.repo.owner,
-          repo: context.repo.repo,
-          deployment_id: deployment.id,
-          state: 'inactive',
-          description: 'Environment was cleaned up',
-        });
-        core.info(`Deactivated deployment ${deployment.id}`);
+      if (!passed) {
+        if (core.getInput('SMOKE_CHECK_DELETE_ON_FAILURE') === 'true' && production) {
+          core.warning(`Not deleting production deployment ${deployment.id} that failed smoke checks, use EVENT "rollback" to restore the previous one`);
+        } else if (core.getInput('SMOKE_CHECK_DELETE_ON_FAILURE') === 'true') {
+          try {
+            await deleteDeployment(site.project, deployment.id);
+            core.info(`Deleted deployment ${deployment.id} that failed smoke checks`);
+          } catch (deleteError) {
+            core.warning(`Failed to delete deployment ${deployment.id}: ${deleteError.message}`);
+          }
+        }
+        
+        throw new Error(`Smoke checks failed for ${deployment.deploymentUrl}`);
       }
-      
-      core.info(`Successfully deactivated ${deployments.data.length} deployment(s)`);
-    } catch (error) {
-      // Don't fail the action if deactivation fails
-      core.warning(`Failed to deactivate GitHub deployments: ${error.message}`);
     }
   } catch (error) {
-    core.warning(`Error deactivating GitHub deployments: ${error.message}`);
+    await finishGitHubDeployment(githubToken, githubDeploymentId, 'failure', {
+      url: deployment?.url,
+      description: error.message,
+    });
+    throw error;
+  }
+  
+  if (settings.supersedeCheck && githubToken) {
+    // A newer run may have reported already, reporting this deployment now would overwrite it
+    const superseded = await timed(result.timings, 'Check for newer deployments', () => checkSupersededDeployment(site, deployment, settings));
+    if (superseded) {
+      result.superseded = superseded;
+      await retireSupersededDeployment(site, deployment, superseded, { production, deleteSuperseded: settings.deleteSuperseded });
+      await finishGitHubDeployment(githubToken, githubDeploymentId, 'inactive', {
+        url: deployment.url,
+        description: superseded.reason === 'torn-down' ? 'Preview was torn down while deploying' : `Superseded by ${superseded.sha.slice(0, 7)}`,
+      });
+      return serviceToken;
+    }
   }
+  
+  await finishGitHubDeployment(githubToken, githubDeploymentId, 'success', {
+    url: deployment.url,
+    description: production ? 'Production deployment is live' : 'Preview deployment is live',
+  });
+  return serviceToken;
 }
 
 /**
- * Deploys a folder to Cloudflare Pages
- * @param {string} distFolder - Path to the distribution folder to deploy
- * @param {string} projectName - Cloudflare Pages project name
- * @param {string} branch - Branch name to deploy to
- * @param {string} headersJson - JSON string containing custom headers configuration
- * @returns {Promise<string>} - URL of the deployed site
+ * Checks whether a deployment was superseded, without failing the deploy if the check does
+ * @param {{project: string, branch: string}} site - Site that was deployed
+ * @param {{id: string}} deployment - Deployment of this run
+ * @param {object} settings - Settings read by run()
+ * @returns {Promise<object|null>} - See checkSuperseded
  */
-async function deployToCloudflare(distFolder, projectName, branch, headersJson) {
-  core.info(`Deploying ${distFolder} to Cloudflare Pages project "${projectName}" on branch "${branch}"`);
-  
+async function checkSupersededDeployment(site, deployment, settings) {
   try {
-    await fs.access(distFolder);
+    return await checkSuperseded(settings.githubToken, site.project, {
+      id: deployment.id,
+      branch: site.branch,
+      sha: settings.commitSha,
+      prNumber: settings.prNumber,
+    });
   } catch (error) {
-    throw new Error(`Distribution folder "${distFolder}" does not exist or is not accessible`);
+    core.warning(`Could not check for newer deployments of branch "${site.branch}": ${error.message}`);
+    return null;
   }
+}
 
-  try {
-    const headersObj = JSON.parse(headersJson);
-    if (Object.keys(headersObj).length > 0) {
-      core.info('Processing custom headers configuration');
-      const headersFilePath = path.join(distFolder, '_headers.json');
-      await fs.writeFile(headersFilePath, headersJson);
-      core.info(`Custom headers written to ${headersFilePath}`);
-    }
-  } catch (error) {
-    core.warning(`Error processing headers: ${error.message}. Continuing without custom headers.`);
+/**
+ * Cleans up after a deployment that was superseded before it was reported
+ *
+ * A deployment of a preview whose PR was closed is deleted, as the teardown may have missed it. When a
+ * newer commit was deployed first, production is rolled back to it if this deployment went
+ * live after it, and previews are deleted if DELETE_SUPERSEDED is set.
+ * @param {{project: string, branch: string}} site - Site that was deployed
+ * @param {{id: string}} deployment - Deployment of this run
+ * @param {object} superseded - Result of checkSuperseded
+ * @param {object} options - Cleanup settings
+ * @param {boolean} options.production - Whether the deployment is a production deployment
+ * @param {boolean} options.deleteSuperseded - Whether to delete superseded preview deployments
+ * @returns {Promise<void>}
+ */
+async function retireSupersededDeployment(site, deployment, superseded, options) {
+  if (superseded.reason === 'torn-down') {
+    core.warning(`The preview of branch "${site.branch}" was torn down while deploying, deleting deployment ${deployment.id}`);
+  } else {
+    core.warning(`Deployment ${deployment.id} was superseded by deployment ${superseded.deploymentId} of newer commit ${superseded.sha}, not reporting it`);
   }
-
-  let deployOutput = '';
-  let errorOutput = '';
   
-  const options = {
-    listeners: {
-      stdout: (data) => {
-        const chunk = data.toString();
-        deployOutput += chunk;
-        if (chunk.trim()) core.info(chunk.trim());
-      },
-      stderr: (data) => {
-        const chunk = data.toString();
-        errorOutput += chunk;
-        if (chunk.trim()) core.warning(chunk.trim());
+  try {
+    if (options.production && superseded.reason === 'newer-commit') {
+      const project = await getProject(site.project);
+      if (project.canonical_deployment?.id === deployment.id) {
+        await rollbackProduction(site.project, superseded.deploymentId);
       }
+    } else if (!options.production && (superseded.reason === 'torn-down' || options.deleteSuperseded)) {
+      await deleteDeployment(site.project, deployment.id);
+      core.info(`Deleted superseded deployment ${deployment.id}`);
     }
-  };
-
-  try {
-    await exec.exec('npx', ['wrangler@4', 'pages', 'deploy', distFolder, '--project-name', projectName, '--branch', branch], options);
   } catch (error) {
-    throw new Error(`Wrangler deployment failed: ${errorOutput || error.message}`);
+    core.warning(`Failed to clean up superseded deployment ${deployment.id}: ${error.message}`);
   }
+}
 
-  // First, try to extract the deployment alias URL (✨ Deployment alias URL: ...)
-  const aliasUrlRegex = /✨\s*Deployment alias URL:\s*(\bhttps?:\/\/[^\s]+\b)/i;
-  const aliasMatch = deployOutput.match(aliasUrlRegex);
-  
-  // If we can't find the alias URL, fall back to other patterns
-  const standardUrlRegex = /(?:View your deployed site at|Successfully deployed to|Preview URL|✨\s*Deployment complete! Take a peek over at)[:\s]+(\bhttps?:\/\/[^\s]+\b)/i;
-  const standardMatch = deployOutput.match(standardUrlRegex);
-  
-  let deployUrl;
+/**
+ * Deletes the branch deployments or the whole project of one site and cleans up its GitHub environment
+ * @param {string} event - "delete-deployment" or "delete-project"
+ * @param {{project: string, branch: string}} site - Site to delete
+ * @param {object} settings - Settings read by run()
+ * @param {object} result - Result of the site, filled in as the deletion progresses
+ * @returns {Promise<void>}
+ */
+async function deleteSite(event, site, settings, result) {
+  const githubEnvironment = resolveSiteEnvironment(site.project, settings, { branch: site.branch });
+  result.githubEnvironment = githubEnvironment;
   
-  if (aliasMatch && aliasMatch[1]) {
-    deployUrl = aliasMatch[1].trim();
-    core.info(`Deployment successful (alias URL): ${deployUrl}`);
-  } else if (standardMatch && standardMatch[1]) {
-    deployUrl = standardMatch[1].trim();
-    core.info(`Deployment successful: ${deployUrl}`);
+  if (event === 'delete-deployment') {
+    const { deleted, failed } = await timed(result.timings, 'Delete deployments', () => deleteDeploymentFromCloudflare({
+      projectName: site.project,
+      branch: site.branch,
+      dryRun: settings.dryRun,
+      allowProduction: settings.allowProductionDelete,
+      matchUrl: settings.matchDeploymentUrl,
+    }));
+    Object.assign(result, { deleted, deletedCount: deleted.length, failedCount: failed.length });
+    
+    const previewHostname = settings.previewDomain
+      ? renderPreviewDomain(settings.previewDomain.template, { prNumber: settings.prNumber, branch: site.branch, project: site.project })
+      : null;
+    if (previewHostname) {
+      try {
+        await timed(result.timings, 'Detach preview domain', () => detachPreviewDomain(site.project, previewHostname, {
+          zoneId: settings.previewDomain.zoneId,
+          dryRun: settings.dryRun,
+        }));
+      } catch (error) {
+        // Carry on with the GitHub cleanup, e.g. when the API token cannot edit DNS
+        core.warning(`Failed to detach preview domain ${previewHostname}: ${error.message}`);
+      }
+    }
   } else {
-    core.warning('Could not extract deployment URL from output. Deployment might have succeeded, but no URL was found.');
-    deployUrl = `https://${branch === 'main' ? '' : branch + '.'}${projectName}.pages.dev`;
-    core.info(`Guessed deployment URL (may not be accurate): ${deployUrl}`);
+    const deleted = await timed(result.timings, 'Delete project', () => deleteProjectFromCloudflare({ projectName: site.project, dryRun: settings.dryRun }));
+    Object.assign(result, { deleted, deletedCount: deleted.length });
   }
   
-  core.setOutput('url', deployUrl);
-  return deployUrl;
+  if (settings.dryRun) {
+    core.info(`Dry run: would deactivate GitHub deployments in environment ${githubEnvironment}`);
+  } else if (settings.githubToken) {
+    // Deactivate GitHub deployments if token is provided
+    await deactivateGitHubDeployments(settings.githubToken, githubEnvironment);
+    
+    if (settings.deleteEnvironment) {
+      await deleteGitHubEnvironment(settings.githubToken, githubEnvironment);
+    }
+  }
 }
 
 /**
- * Deletes a specific deployment from a Cloudflare Pages project
- * @param {string} projectName - Name of the Cloudflare Pages project
- * @param {string} branch - Branch name of the deployment to delete
- * @returns {Promise<void>}
- */
-/**
- * Deletes all deployments for a specific branch from a Cloudflare Pages project using the Cloudflare API
- * Implementation based on the proven curl approach
- * @param {string} projectName - Name of the Cloudflare Pages project
- * @param {string} branch - Branch name of the deployment to delete
- * @returns {Promise<void>}
+ * Builds the asset manifest of a site, writes it and compares it against the baseline
+ * @param {{dist: string, project: string}} site - Site being deployed
+ * @param {object} options - Settings from readAssetSettings
+ * @returns {Promise<object>} - Asset report, see compareManifests, with the exceeded budget limits
  */
+async function reportAssets(site, options) {
+  const manifest = await buildManifest(site.dist);
+  if (options.manifestPath) {
+    await writeManifest(renderTemplate(options.manifestPath, { project: site.project }), manifest);
+  }
+  
+  const baseline = options.baselineManifest
+    ? await loadManifest(renderTemplate(options.baselineManifest, { project: site.project }))
+    : null;
+  const report = compareManifests(manifest, baseline);
+  report.budgetExceeded = checkSizeBudget(report, options.budget);
+  
+  core.info(`Assets: ${report.fileCount} files${report.baseline ? `, ${report.added.count} added, ${report.removed.count} removed, ${report.changed.count} changed` : ''}`);
+  report.budgetExceeded.forEach(message => core.error(`Size budget exceeded: ${message}`));
+  return report;
+}
+
 /**
- * Handles branch-specific deployment cleanup for Cloudflare Pages
- * Uses Cloudflare's REST API to filter and delete all deployments for a specific branch
- * @param {string} projectName - Name of the Cloudflare Pages project
- * @param {string} branch - Branch name of the deployments to delete
- * @returns {Promise<void>}
+ * Reads the asset manifest and size budget inputs
+ * @returns {object|null} - Settings for reportAssets, or null if none of the inputs is set
  */
-async function deleteDeploymentFromCloudflare(projectName, branch) {
-  core.info(`Deleting all Cloudflare Pages deployments for project "${projectName}" on branch "${branch}"`);
-  
-  const cloudflareApiToken = process.env.CLOUDFLARE_API_TOKEN;
-  const cloudflareAccountId = process.env.CLOUDFLARE_ACCOUNT_ID;
+function readAssetSettings() {
+  const budget = {
+    total: parseSize(core.getInput('SIZE_BUDGET_TOTAL'), 'SIZE_BUDGET_TOTAL'),
+    gzip: parseSize(core.getInput('SIZE_BUDGET_GZIP'), 'SIZE_BUDGET_GZIP'),
+    increase: parseSize(core.getInput('SIZE_BUDGET_INCREASE'), 'SIZE_BUDGET_INCREASE'),
+  };
+  const manifestPath = core.getInput('ASSET_MANIFEST');
+  const baselineManifest = core.getInput('ASSET_BASELINE_MANIFEST');
   
-  if (!cloudflareApiToken || !cloudflareAccountId) {
-    core.warning('Missing Cloudflare API credentials. Skipping Cloudflare deployment deletion.');
-    return;
+  if (!manifestPath && !baselineManifest && !Object.values(budget).some(Boolean)) {
+    return null;
   }
+  return { manifestPath, baselineManifest, budget };
+}
+
+/**
+ * Reads the environment variable, secret and binding inputs of both environments
+ * @returns {object|null} - Configuration for applyDeploymentConfigs, or null if nothing is declared
+ */
+function readDeploymentConfigs() {
+  const config = { removeUndeclared: core.getInput('REMOVE_UNDECLARED_ENV_VARS') === 'true' };
+  let declared = false;
   
-  try {
-    // Step 1: List deployments to find the ones for our branch
-    const listDeploymentsUrl = `https://api.cloudflare.com/client/v4/accounts/${cloudflareAccountId}/pages/projects/${projectName}/deployments`;
-    
-    core.info(`Fetching deployments list for project "${projectName}"...`);
-    
-    const headers = {
-      'Authorization': `Bearer ${cloudflareApiToken}`,
-      'Content-Type': 'application/json'
+  for (const environment of ['preview', 'production']) {
+    const prefix = environment.toUpperCase();
+    const inputs = {
+      vars: core.getInput(`${prefix}_ENV_VARS`),
+      secrets: core.getInput(`${prefix}_SECRETS`),
+      bindings: core.getInput(`${prefix}_BINDINGS`),
     };
+    declared = declared || Object.values(inputs).some(Boolean);
     
-    try {
-      const response = await fetch(listDeploymentsUrl, { headers });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to list deployments: ${response.status} ${response.statusText} - ${errorText}`);
-      }
-      
-      const data = await response.json();
-      
-      if (!data.success) {
-        throw new Error(`API error: ${JSON.stringify(data.errors)}`);
-      }
-      
-      // Find all deployments for our branch
-      const deployments = data.result;
-      core.info(`Found ${deployments.length} total deployments for project "${projectName}"`);
-      
-      // Primary matching: by branch metadata (most accurate)
-      let matchingDeployments = deployments.filter(deployment => 
-        deployment.deployment_trigger && 
-        deployment.deployment_trigger.metadata && 
-        deployment.deployment_trigger.metadata.branch === branch
-      );
-      
-      // If no direct matches, try fuzzy matching via URL patterns (fallback)
-      if (matchingDeployments.length === 0) {
-        core.info(`No exact branch matches found. Trying URL pattern matching for branch "${branch}"`);
-        
-        // Format branch name for URL matching
-        const branchFormatted = branch.toLowerCase().replace(/[^a-z0-9]/g, '-');
-        
-        matchingDeployments = deployments.filter(deployment => 
-          deployment.url && deployment.url.includes(branchFormatted)
-        );
-        
-        if (matchingDeployments.length > 0) {
-          core.info(`Found ${matchingDeployments.length} deployments matching URL pattern for branch "${branch}"`);
-        }
-      }
-      
-      if (matchingDeployments.length === 0) {
-        core.warning(`No deployments found for branch "${branch}". Will continue with GitHub cleanup.`);
-        return;
-      }
-      
-      core.info(`Found ${matchingDeployments.length} deployments for branch "${branch}"`);
-      
-      // Log deployment details for debugging
-      matchingDeployments.forEach(deployment => {
-        const id = deployment.id;
-        const url = deployment.url || 'N/A';
-        const createdAt = new Date(deployment.created_on).toISOString();
-        core.info(`  - Deployment ${id}: ${url} (created: ${createdAt})`);
-      });
-      
-      // Step 2: Delete all matching deployments in parallel
-      core.info(`Deleting ${matchingDeployments.length} deployments in parallel...`);
-      
-      // Create an array of deletion promises (but don't wait for them yet)
-      const deletionPromises = matchingDeployments.map(async (deployment) => {
-        const deploymentId = deployment.id;
-        const deleteDeploymentUrl = `https://api.cloudflare.com/client/v4/accounts/${cloudflareAccountId}/pages/projects/${projectName}/deployments/${deploymentId}?force=true`;
-        
-        try {
-          core.info(`Deleting deployment ${deploymentId}...`);
-          
-          const deleteResponse = await fetch(deleteDeploymentUrl, { 
-            method: 'DELETE',
-            headers 
-          });
-          
-          if (!deleteResponse.ok) {
-            const errorText = await deleteResponse.text();
-            core.warning(`Failed to delete deployment ${deploymentId}: ${deleteResponse.status} ${deleteResponse.statusText} - ${errorText}`);
-            return { id: deploymentId, success: false };
-          }
-          
-          const deleteData = await deleteResponse.json();
-          
-          if (!deleteData.success) {
-            core.warning(`API error during deletion of ${deploymentId}: ${JSON.stringify(deleteData.errors)}`);
-            return { id: deploymentId, success: false };
-          }
-          
-          core.info(`Successfully deleted deployment "${deploymentId}" for branch "${branch}"`);
-          return { id: deploymentId, success: true };
-        } catch (error) {
-          core.warning(`Error during deletion of deployment ${deploymentId}: ${error.message}`);
-          return { id: deploymentId, success: false };
-        }
-      });
-      
-      // Wait for all deletion operations to complete (in parallel)
-      const results = await Promise.allSettled(deletionPromises);
-      
-      // Summarize results
-      const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-      const failed = matchingDeployments.length - successful;
-      
-      core.info(`Deployment cleanup complete: ${successful} deleted successfully, ${failed} failed`);
-      
-    } catch (fetchError) {
-      if (fetchError.message.includes('not found') || fetchError.message.includes('does not exist')) {
-        core.warning(`Project "${projectName}" or deployment not found. Continuing with GitHub cleanup.`);
-      } else {
-        core.warning(`Error during API request: ${fetchError.message}`);
-        throw fetchError;
-      }
-    }
-    
-  } catch (error) {
-    core.warning(`Failed to delete Cloudflare deployments: ${error.message}`);
-    core.info('Will continue with GitHub cleanup despite Cloudflare API errors.');
-    // Continue with the GitHub cleanup regardless
+    config[environment] = {
+      vars: parseVariables(inputs.vars, `${prefix}_ENV_VARS`),
+      secrets: parseVariables(inputs.secrets, `${prefix}_SECRETS`),
+      bindings: parseBindings(inputs.bindings, `${prefix}_BINDINGS`),
+    };
+    Object.values(config[environment].secrets).filter(Boolean).forEach(value => core.setSecret(value));
   }
+  
+  return declared ? config : null;
 }
 
 /**
- * Deletes an entire Cloudflare Pages project
- * @param {string} projectName - Name of the Cloudflare Pages project to delete
- * @returns {Promise<void>}
+ * Splits a comma or newline separated input into a list
+ * @param {string} value - Raw input value
+ * @returns {Array<string>}
  */
-async function deleteProjectFromCloudflare(projectName) {
-  core.info(`Deleting Cloudflare Pages project "${projectName}"`);
-  
-  let errorOutput = '';
-  const options = {
-    listeners: {
-      stderr: (data) => {
-        errorOutput += data.toString();
-      }
-    }
-  };
-
-  try {
-    await exec.exec('npx', ['wrangler@4', 'pages', 'project', 'delete', projectName, '--yes'], options);
-    core.info(`Successfully deleted project "${projectName}"`);
-  } catch (error) {
-    if (errorOutput.includes('not found') || errorOutput.includes('does not exist')) {
-      core.warning(`Project "${projectName}" does not exist or is already deleted.`);
-    } else {
-      throw new Error(`Failed to delete project: ${errorOutput || error.message}`);
-    }
-  }
+function parseList(value) {
+  return value.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
 }
 
-run();
\ No newline at end of file
+run();
@@ -0,0 +1,167 @@
+import * as core from '@actions/core';
+import { renderAssetReport } from './asset-manifest.mjs';
+import { addValidationSummary } from './validate-dist.mjs';
+
+// Keeps the summary readable when a sweep or prune removes hundreds of deployments
+const MAX_DELETED_ROWS = 50;
+
+/**
+ * Runs a step and records how long it took
+ * @param {Array<{step: string, durationMs: number}>} timings - Timings to append to
+ * @param {string} step - Name of the step shown in the summary
+ * @param {function(): Promise<any>} fn - Step to run
+ * @returns {Promise<any>} - Whatever the step returns
+ */
+export async function timed(timings, step, fn) {
+  const startedAt = Date.now();
+  try {
+    return await fn();
+  } finally {
+    timings.push({ step, durationMs: Date.now() - startedAt });
+  }
+}
+
+/**
+ * Formats a duration for the summary
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string}
+ */
+function formatDuration(durationMs) {
+  return durationMs < 1000 ? `${durationMs} ms` : `${(durationMs / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Formats a URL as a link for a summary table cell, or an empty cell when there is none
+ * @param {string} [url] - URL to link to
+ * @returns {string}
+ */
+function link(url) {
+  return url ? `<a href="${url}">${url}</a>` : '';
+}
+
+/**
+ * Sets the action outputs from the result of an event
+ * @param {object} result - Result of the event, see run() in index.mjs
+ * @returns {void}
+ */
+export function setResultOutputs(result) {
+  const outputs = {
+    'url': result.url,
+    'deployment-id': result.deploymentId,
+    'alias-url': result.aliasUrl,
+    'deployment-url': result.deploymentUrl,
+    'environment': result.environment,
+    'deleted-count': result.deletedCount,
+    'superseded': result.event === 'deploy' ? Boolean(result.superseded || result.sites?.some(site => site.superseded)) : undefined,
+  };
+
+  for (const [name, value] of Object.entries(outputs)) {
+    if (value !== undefined && value !== null) {
+      core.setOutput(name, String(value));
+    }
+  }
+  core.setOutput('result-json', JSON.stringify(result));
+}
+
+/**
+ * Writes a Markdown report of an event to the job summary
+ * @param {object} result - Result of the event, see run() in index.mjs
+ * @returns {Promise<void>}
+ */
+export async function writeJobSummary(result) {
+  const status = result.status === 'success' ? '✅ Succeeded' : `❌ Failed: ${result.error}`;
+  const details = [
+    ['Status', status],
+    ['Project', result.project],
+    ['Branch', result.branch],
+    ['Environment', result.environment],
+    ['GitHub environment', result.githubEnvironment],
+    ['Deployment ID', result.deploymentId],
+    ['URL', link(result.url)],
+    ['Alias URL', link(result.aliasUrl)],
+    ['Deployment URL', link(result.deploymentUrl)],
+    ['Access application', result.accessApplicationId],
+    ['Commit', result.sha],
+    ['Superseded', result.superseded && (result.superseded.reason === 'torn-down' ? 'Preview was torn down while deploying' : `By ${result.superseded.sha}`)],
+    [result.dryRun ? 'Deployments that would be deleted' : 'Deleted deployments', result.deletedCount],
+    ['Duration', formatDuration(result.durationMs)],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  core.summary
+    .addHeading(`Cloudflare Pages: ${result.event}${result.dryRun ? ' (dry run)' : ''}`, 2)
+    .addTable([
+      [{ data: 'Field', header: true }, { data: 'Value', header: true }],
+      ...details.map(([field, value]) => [field, String(value)]),
+    ]);
+
+  if (result.sites?.length) {
+    core.summary
+      .addHeading('Sites', 3)
+      .addTable([
+        [
+          { data: 'Project', header: true },
+          { data: 'Status', header: true },
+          { data: 'URL', header: true },
+          { data: 'Deployment URL', header: true },
+          { data: 'Deleted', header: true },
+          { data: 'Duration', header: true },
+        ],
+        ...result.sites.map(site => [
+          site.project,
+          site.status === 'success' ? (site.superseded ? '⏭️ Superseded' : '✅') : `❌ ${site.error}`,
+          link(site.url),
+          link(site.deploymentUrl),
+          site.deletedCount === undefined ? '' : String(site.deletedCount),
+          formatDuration(site.timings.reduce((total, timing) => total + timing.durationMs, 0)),
+        ]),
+      ]);
+  }
+
+  // Each site's report is rendered here, concurrent sites writing to the summary would mix them up
+  if (result.validation) {
+    addValidationSummary(result.validation, 'Build output validation');
+  }
+  for (const site of result.sites || []) {
+    if (site.validation) {
+      addValidationSummary(site.validation, `Build output validation: ${site.project}`);
+    }
+  }
+
+  // Markdown needs a blank line after the HTML tables to be rendered
+  if (result.assets) {
+    core.summary.addEOL().addRaw(renderAssetReport(result.assets, 'Assets'), true);
+  }
+  for (const site of result.sites || []) {
+    if (site.assets) {
+      core.summary.addEOL().addRaw(renderAssetReport(site.assets, `Assets: ${site.project}`), true);
+    }
+  }
+
+  if (result.deleted?.length) {
+    core.summary
+      .addHeading(result.dryRun ? 'Deployments that would be deleted' : 'Deleted deployments', 3)
+      .addTable([
+        [{ data: 'ID', header: true }, { data: 'Branch', header: true }, { data: 'URL', header: true }],
+        ...result.deleted.slice(0, MAX_DELETED_ROWS).map(entry => [entry.id, entry.branch || '', link(entry.url)]),
+      ]);
+    if (result.deleted.length > MAX_DELETED_ROWS) {
+      core.summary.addRaw(`…and ${result.deleted.length - MAX_DELETED_ROWS} more, see the <code>result-json</code> output`, true);
+    }
+  }
+
+  if (result.timings.length > 0) {
+    core.summary
+      .addHeading('Timings', 3)
+      .addTable([
+        [{ data: 'Step', header: true }, { data: 'Duration', header: true }],
+        ...result.timings.map(timing => [timing.step, formatDuration(timing.durationMs)]),
+      ]);
+  }
+
+  try {
+    await core.summary.write();
+  } catch (error) {
+    // The job summary is only available inside GitHub Actions
+    core.debug(`Could not write job summary: ${error.message}`);
+  }
+}
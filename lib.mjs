@@ -0,0 +1,14 @@
+/**
+ * Cloudflare Pages operations without the GitHub Actions glue, for other CI systems, scripts and tooling
+ *
+ * Call configureCloudflare first, or set CLOUDFLARE_API_TOKEN and CLOUDFLARE_ACCOUNT_ID.
+ * Progress is logged through @actions/core, which prints plain lines outside GitHub Actions.
+ */
+export { CloudflareApiError, configureCloudflare } from './cloudflare-api.mjs';
+export {
+  deleteDeploymentFromCloudflare,
+  deleteProjectFromCloudflare,
+  deployToCloudflare,
+  listDeploymentsFromCloudflare,
+} from './pages.mjs';
+export { branchToAlias, resolveBranchUrl } from './branch-alias.mjs';
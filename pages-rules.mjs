@@ -0,0 +1,373 @@
+import * as core from '@actions/core';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Cloudflare Pages limits, see https://developers.cloudflare.com/pages/configuration/headers/
+// and https://developers.cloudflare.com/pages/configuration/redirects/
+const MAX_HEADER_RULES = 100;
+const MAX_HEADER_LINE_LENGTH = 2000;
+const MAX_STATIC_REDIRECTS = 2000;
+const MAX_DYNAMIC_REDIRECTS = 100;
+const MAX_REDIRECT_LINE_LENGTH = 1000;
+const REDIRECT_STATUS_CODES = [200, 301, 302, 303, 307, 308];
+const DEFAULT_REDIRECT_STATUS = 302;
+
+const HEADER_NAME_REGEX = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+// Shorthand keys accepted in the HEADERS input
+const HEADER_ALIASES = {
+  cacheControl: 'Cache-Control',
+  contentType: 'Content-Type',
+  contentSecurityPolicy: 'Content-Security-Policy',
+  accessControlAllowOrigin: 'Access-Control-Allow-Origin',
+  xRobotsTag: 'X-Robots-Tag',
+};
+
+/**
+ * Normalizes and validates a path or URL pattern used by `_headers` or `_redirects`
+ * @param {string} pattern - Path, glob or absolute URL. A missing leading slash is added
+ * @param {string} context - Description of where the pattern came from, used in errors
+ * @returns {string} - The normalized pattern
+ */
+function normalizePattern(pattern, context) {
+  const trimmed = String(pattern).trim();
+
+  if (!trimmed) {
+    throw new Error(`${context}: pattern must not be empty`);
+  }
+  if (/\s/.test(trimmed)) {
+    throw new Error(`${context}: pattern "${trimmed}" must not contain whitespace`);
+  }
+  if ((trimmed.match(/\*/g) || []).length > 1) {
+    throw new Error(`${context}: pattern "${trimmed}" may only contain a single "*" splat`);
+  }
+
+  if (/^https?:\/\//.test(trimmed)) {
+    try {
+      new URL(trimmed.replace('*', 'splat'));
+    } catch (error) {
+      throw new Error(`${context}: pattern "${trimmed}" is not a valid URL`);
+    }
+    return trimmed;
+  }
+
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+/**
+ * Parses the contents of a `_headers` file
+ * @param {string} contents - File contents
+ * @returns {Map<string, Array<{name: string, value?: string, remove?: boolean}>>} - Headers keyed by pattern, in file order
+ */
+export function parseHeadersFile(contents) {
+  const rules = new Map();
+  let currentRule = null;
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const context = `_headers line ${index + 1}`;
+
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+
+    if (!/^\s/.test(line)) {
+      const pattern = normalizePattern(line, context);
+      currentRule = rules.get(pattern) || [];
+      rules.set(pattern, currentRule);
+      return;
+    }
+
+    if (!currentRule) {
+      throw new Error(`${context}: header "${line.trim()}" appears before any path pattern`);
+    }
+
+    const entry = line.trim();
+    if (entry.startsWith('!')) {
+      const name = entry.slice(1).trim();
+      if (!HEADER_NAME_REGEX.test(name)) {
+        throw new Error(`${context}: invalid header name "${name}"`);
+      }
+      currentRule.push({ name, remove: true });
+      return;
+    }
+
+    const separatorIndex = entry.indexOf(':');
+    if (separatorIndex === -1) {
+      throw new Error(`${context}: expected "Name: value" but got "${entry}"`);
+    }
+
+    const name = entry.slice(0, separatorIndex).trim();
+    if (!HEADER_NAME_REGEX.test(name)) {
+      throw new Error(`${context}: invalid header name "${name}"`);
+    }
+    currentRule.push({ name, value: entry.slice(separatorIndex + 1).trim() });
+  });
+
+  return rules;
+}
+
+/**
+ * Converts the HEADERS input into header rules
+ *
+ * Keys are paths or globs, values map header names (or shorthands such as
+ * `cacheControl`) to values. A name prefixed with `!` removes that header.
+ * @param {object} headersObj - Parsed HEADERS input
+ * @returns {Map<string, Array<{name: string, value?: string, remove?: boolean}>>}
+ */
+function headersFromInput(headersObj) {
+  const rules = new Map();
+
+  for (const [rawPattern, headers] of Object.entries(headersObj)) {
+    const context = `HEADERS["${rawPattern}"]`;
+    const pattern = normalizePattern(rawPattern, context);
+
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+      throw new Error(`${context}: expected an object of header names to values`);
+    }
+
+    const entries = rules.get(pattern) || [];
+    for (const [rawName, value] of Object.entries(headers)) {
+      const remove = rawName.startsWith('!');
+      const key = remove ? rawName.slice(1).trim() : rawName;
+      const name = HEADER_ALIASES[key] || key;
+
+      if (!HEADER_NAME_REGEX.test(name)) {
+        throw new Error(`${context}: invalid header name "${rawName}"`);
+      }
+
+      if (remove) {
+        entries.push({ name, remove: true });
+        continue;
+      }
+
+      const headerValue = String(value);
+      if (/[\r\n]/.test(headerValue)) {
+        throw new Error(`${context}: value for "${name}" must not contain line breaks`);
+      }
+      entries.push({ name, value: headerValue });
+    }
+
+    rules.set(pattern, entries);
+  }
+
+  return rules;
+}
+
+/**
+ * Serializes header rules into `_headers` file contents, enforcing Cloudflare's limits
+ * @param {Map<string, Array<{name: string, value?: string, remove?: boolean}>>} rules - Header rules
+ * @returns {string} - File contents
+ */
+function serializeHeadersFile(rules) {
+  if (rules.size > MAX_HEADER_RULES) {
+    throw new Error(`_headers would contain ${rules.size} rules, Cloudflare Pages allows at most ${MAX_HEADER_RULES}`);
+  }
+
+  const lines = [];
+  for (const [pattern, entries] of rules) {
+    lines.push(pattern);
+    for (const entry of entries) {
+      lines.push(entry.remove ? `  ! ${entry.name}` : `  ${entry.name}: ${entry.value}`);
+    }
+  }
+
+  const longLine = lines.find(line => line.length > MAX_HEADER_LINE_LENGTH);
+  if (longLine) {
+    throw new Error(`_headers line "${longLine.slice(0, 50)}..." is longer than ${MAX_HEADER_LINE_LENGTH} characters`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parses the contents of a `_redirects` file
+ * @param {string} contents - File contents
+ * @returns {Array<{from: string, to: string, status: number}>} - Redirect rules in file order
+ */
+export function parseRedirectsFile(contents) {
+  const rules = [];
+
+  contents.split(/\r?\n/).forEach((line, index) => {
+    const context = `_redirects line ${index + 1}`;
+    const trimmed = line.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const parts = trimmed.split(/\s+/);
+    if (parts.length < 2 || parts.length > 3) {
+      throw new Error(`${context}: expected "source destination [status]" but got "${trimmed}"`);
+    }
+
+    rules.push(validateRedirect(parts[0], parts[1], parts[2], context));
+  });
+
+  return rules;
+}
+
+/**
+ * Validates a single redirect rule
+ * @param {string} from - Source path pattern
+ * @param {string} to - Destination path or URL
+ * @param {string|number} [status] - Status code, defaults to 302
+ * @param {string} context - Description of where the rule came from, used in errors
+ * @returns {{from: string, to: string, status: number}}
+ */
+function validateRedirect(from, to, status, context) {
+  const statusCode = status === undefined || status === '' ? DEFAULT_REDIRECT_STATUS : Number(status);
+
+  if (!REDIRECT_STATUS_CODES.includes(statusCode)) {
+    throw new Error(`${context}: status must be one of ${REDIRECT_STATUS_CODES.join(', ')} but got "${status}"`);
+  }
+  if (/^https?:\/\//.test(String(from).trim())) {
+    throw new Error(`${context}: source "${from}" must be a path, domain-level redirects are not supported`);
+  }
+  if (!to || /\s/.test(String(to))) {
+    throw new Error(`${context}: destination "${to}" must be a non-empty path or URL without whitespace`);
+  }
+
+  return { from: normalizePattern(from, context), to: String(to), status: statusCode };
+}
+
+/**
+ * Converts the REDIRECTS input into redirect rules
+ *
+ * Keys are source paths, values are either a destination string or
+ * `{ "to": "/destination", "status": 301 }`.
+ * @param {object} redirectsObj - Parsed REDIRECTS input
+ * @returns {Array<{from: string, to: string, status: number}>}
+ */
+function redirectsFromInput(redirectsObj) {
+  return Object.entries(redirectsObj).map(([from, target]) => {
+    const context = `REDIRECTS["${from}"]`;
+
+    if (typeof target === 'string') {
+      return validateRedirect(from, target, undefined, context);
+    }
+    if (!target || typeof target !== 'object') {
+      throw new Error(`${context}: expected a destination string or an object with "to" and optional "status"`);
+    }
+    return validateRedirect(from, target.to, target.status, context);
+  });
+}
+
+/**
+ * Serializes redirect rules into `_redirects` file contents, enforcing Cloudflare's limits
+ * @param {Array<{from: string, to: string, status: number}>} rules - Redirect rules
+ * @returns {string} - File contents
+ */
+function serializeRedirectsFile(rules) {
+  const isDynamic = rule => rule.from.includes('*') || /\/:[A-Za-z]/.test(rule.from);
+  const dynamicCount = rules.filter(isDynamic).length;
+  const staticCount = rules.length - dynamicCount;
+
+  if (staticCount > MAX_STATIC_REDIRECTS) {
+    throw new Error(`_redirects would contain ${staticCount} static redirects, Cloudflare Pages allows at most ${MAX_STATIC_REDIRECTS}`);
+  }
+  if (dynamicCount > MAX_DYNAMIC_REDIRECTS) {
+    throw new Error(`_redirects would contain ${dynamicCount} dynamic redirects, Cloudflare Pages allows at most ${MAX_DYNAMIC_REDIRECTS}`);
+  }
+
+  const lines = rules.map(rule => `${rule.from} ${rule.to} ${rule.status}`);
+
+  const longLine = lines.find(line => line.length > MAX_REDIRECT_LINE_LENGTH);
+  if (longLine) {
+    throw new Error(`_redirects line "${longLine.slice(0, 50)}..." is longer than ${MAX_REDIRECT_LINE_LENGTH} characters`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Reads a file from the dist folder, returning an empty string if it does not exist
+ * @param {string} filePath - Path of the file
+ * @returns {Promise<string>}
+ */
+async function readOptionalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return '';
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parses a JSON input that must contain an object
+ * @param {string} inputName - Name of the action input, used in errors
+ * @param {string} json - Raw input value
+ * @returns {object}
+ */
+function parseJsonObjectInput(inputName, json) {
+  let parsed;
+  try {
+    parsed = JSON.parse(json || '{}');
+  } catch (error) {
+    throw new Error(`${inputName} is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`${inputName} must be a JSON object`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Generates `_headers` in the dist folder from the HEADERS input, merged with any
+ * `_headers` the build already produced. Headers from the input replace headers of
+ * the same name for the same pattern.
+ * @param {string} distFolder - Path to the distribution folder
+ * @param {string} headersJson - JSON string containing custom headers configuration
+ * @returns {Promise<void>}
+ */
+export async function writeHeadersFile(distFolder, headersJson) {
+  const headersObj = parseJsonObjectInput('HEADERS', headersJson);
+  if (Object.keys(headersObj).length === 0) {
+    return;
+  }
+
+  core.info('Processing custom headers configuration');
+
+  const headersFilePath = path.join(distFolder, '_headers');
+  const rules = parseHeadersFile(await readOptionalFile(headersFilePath));
+
+  for (const [pattern, entries] of headersFromInput(headersObj)) {
+    const overridden = new Set(entries.map(entry => entry.name.toLowerCase()));
+    const existing = (rules.get(pattern) || []).filter(entry => !overridden.has(entry.name.toLowerCase()));
+    rules.set(pattern, [...existing, ...entries]);
+  }
+
+  await fs.writeFile(headersFilePath, serializeHeadersFile(rules));
+  core.info(`Custom headers written to ${headersFilePath} (${rules.size} rules)`);
+}
+
+/**
+ * Generates `_redirects` in the dist folder from the REDIRECTS input, merged with any
+ * `_redirects` the build already produced. Redirects from the input come first so they
+ * take precedence, and replace build redirects with the same source.
+ * @param {string} distFolder - Path to the distribution folder
+ * @param {string} redirectsJson - JSON string containing redirects configuration
+ * @returns {Promise<void>}
+ */
+export async function writeRedirectsFile(distFolder, redirectsJson) {
+  const redirectsObj = parseJsonObjectInput('REDIRECTS', redirectsJson);
+  if (Object.keys(redirectsObj).length === 0) {
+    return;
+  }
+
+  core.info('Processing custom redirects configuration');
+
+  const redirectsFilePath = path.join(distFolder, '_redirects');
+  const inputRules = redirectsFromInput(redirectsObj);
+  const overridden = new Set(inputRules.map(rule => rule.from));
+  const existingRules = parseRedirectsFile(await readOptionalFile(redirectsFilePath))
+    .filter(rule => !overridden.has(rule.from));
+  const rules = [...inputRules, ...existingRules];
+
+  await fs.writeFile(redirectsFilePath, serializeRedirectsFile(rules));
+  core.info(`Custom redirects written to ${redirectsFilePath} (${rules.length} rules)`);
+}
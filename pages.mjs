@@ -0,0 +1,314 @@
+import * as core from '@actions/core';
+import { promises as fs } from 'fs';
+import { uploadToPages } from './direct-upload.mjs';
+import { writeHeadersFile, writeRedirectsFile } from './pages-rules.mjs';
+import { deleteDeployment, deleteProject, getProject, listAllDeployments, mapWithConcurrency } from './cloudflare-api.mjs';
+import { reportValidation, validateDistFolder } from './validate-dist.mjs';
+import { resolveBranchUrl } from './branch-alias.mjs';
+import { removePreviewAccess } from './access.mjs';
+import { toJsonString } from './util.mjs';
+
+// Maximum number of deployments deleted at the same time by deleteDeploymentFromCloudflare
+const DELETE_CONCURRENCY = 5;
+
+// Times the deployments of a branch are listed again to catch deploys that finished while deleting
+const MAX_DELETE_PASSES = 3;
+
+/**
+ * Deploys a folder to Cloudflare Pages
+ * @param {object} options - Deployment settings
+ * @param {string} options.distFolder - Path to the distribution folder to deploy
+ * @param {string} options.projectName - Cloudflare Pages project name
+ * @param {object} [options.project] - The project as returned by the API, saves fetching it again
+ * @param {string} [options.branch] - Branch name to deploy to, defaults to "main"
+ * @param {object|string} [options.headers] - Custom headers configuration, as an object or JSON string
+ * @param {object|string} [options.redirects] - Redirects configuration, as an object or JSON string
+ * @param {string} [options.commitHash] - Commit recorded on the deployment
+ * @param {string} [options.commitMessage] - Commit message recorded on the deployment
+ * @param {object} [options.validation] - Pre-deploy validation settings
+ * @param {string} [options.validation.level] - "fail" to stop on fail-level findings, "warn" to only report them, or "off"
+ * @param {number} [options.validation.maxFileCount] - File count limit of the project
+ * @param {function(object): void} [options.validation.onReport] - Receives the validation report, also when validation fails
+ * @returns {Promise<{id: string, url: string, aliasUrl?: string, deploymentUrl: string, environment: string}>} - Details of the deployment, `url` being the preferred URL of the deployed site
+ */
+export async function deployToCloudflare(options) {
+  const { distFolder, projectName, branch = 'main', validation = {} } = options;
+  core.info(`Deploying ${distFolder} to Cloudflare Pages project "${projectName}" on branch "${branch}"`);
+  
+  const project = options.project || await getProject(projectName);
+  
+  try {
+    await fs.access(distFolder);
+  } catch (error) {
+    throw new Error(`Distribution folder "${distFolder}" does not exist or is not accessible`);
+  }
+
+  await writeHeadersFile(distFolder, toJsonString(options.headers));
+  await writeRedirectsFile(distFolder, toJsonString(options.redirects));
+
+  if (validation.level !== 'off') {
+    // Validate after the generated rules files are written so they are checked too
+    const report = await validateDistFolder(distFolder, { maxFileCount: validation.maxFileCount });
+    reportValidation(distFolder, report);
+    validation.onReport?.(report);
+
+    const failures = report.findings.filter(finding => finding.level === 'fail');
+    if (failures.length > 0 && validation.level === 'fail') {
+      throw new Error(`Build output validation failed with ${failures.length} problem(s), see the validation report for details`);
+    }
+  }
+
+  let deployment;
+  try {
+    deployment = await uploadToPages(distFolder, projectName, branch, {
+      commitHash: options.commitHash,
+      commitMessage: options.commitMessage,
+    });
+  } catch (error) {
+    throw new Error(`Direct Upload deployment failed: ${error.message}`);
+  }
+
+  // Prefer the stable branch URL over the per-deployment URL. The API does not always return
+  // aliases, and never for the production branch, so fall back to computing it
+  const branchUrl = resolveBranchUrl(project, branch);
+  const aliasUrl = deployment.aliases?.[0] || branchUrl.url;
+  const deployUrl = aliasUrl || deployment.url;
+  core.info(`Deployment ${deployment.id} created (${deployment.environment})`);
+  core.info(`Deployment URL: ${deployment.url}`);
+  if (deployment.aliases?.length) {
+    core.info(`Deployment aliases: ${deployment.aliases.join(', ')}`);
+  }
+  core.info(`Deployment successful: ${deployUrl}`);
+  
+  return {
+    id: deployment.id,
+    url: deployUrl,
+    aliasUrl,
+    deploymentUrl: deployment.url,
+    environment: deployment.environment,
+  };
+}
+
+/**
+ * Lists the deployments of a Cloudflare Pages project
+ * @param {object} options - Listing settings
+ * @param {string} options.projectName - Name of the Cloudflare Pages project
+ * @param {string} [options.branch] - Only list deployments of this branch
+ * @returns {Promise<Array<{id: string, url: string, branch?: string, environment: string, aliases: Array<string>, createdOn: string}>>} - Deployments, newest first
+ */
+export async function listDeploymentsFromCloudflare(options) {
+  const deployments = await listAllDeployments(options.projectName);
+
+  return deployments
+    .map(deployment => ({
+      id: deployment.id,
+      url: deployment.url,
+      branch: deployment.deployment_trigger?.metadata?.branch,
+      environment: deployment.environment,
+      aliases: deployment.aliases || [],
+      createdOn: deployment.created_on,
+    }))
+    .filter(deployment => !options.branch || deployment.branch === options.branch);
+}
+
+/**
+ * Picks the deployments of a branch out of a project's deployments
+ * @param {Array<object>} deployments - Deployments from the Cloudflare API
+ * @param {string} branch - Branch name
+ * @param {object} branchUrl - Alias of the branch, see resolveBranchUrl
+ * @param {object} options - Options of deleteDeploymentFromCloudflare
+ * @returns {{matching: Array<object>, skipped: Array<object>}} - Deployments to delete, and production deployments left alone
+ */
+function matchBranchDeployments(deployments, branch, branchUrl, options) {
+  // Primary matching: by branch metadata (most accurate)
+  let matchingDeployments = deployments.filter(deployment => deployment.deployment_trigger?.metadata?.branch === branch);
+  
+  if (matchingDeployments.length === 0 && options.matchUrl && branchUrl.alias) {
+    // Only an exact alias match counts, so "feat" never matches the "feat-login" preview
+    const aliasHostname = new URL(branchUrl.url).hostname;
+    core.info(`No exact branch matches found. Looking for deployments aliased to ${aliasHostname}`);
+    matchingDeployments = deployments.filter(deployment =>
+      (deployment.aliases || []).some(alias => new URL(alias).hostname === aliasHostname)
+    );
+  }
+  
+  if (options.allowProduction) {
+    return { matching: matchingDeployments, skipped: [] };
+  }
+  return {
+    matching: matchingDeployments.filter(deployment => deployment.environment !== 'production'),
+    skipped: matchingDeployments.filter(deployment => deployment.environment === 'production'),
+  };
+}
+
+/**
+ * Deletes all deployments of a branch from a Cloudflare Pages project
+ * Deployments are matched by their branch metadata, and optionally by their exact branch alias URL.
+ * The list is fetched again after deleting, so deploys that finish in the meantime are deleted too.
+ * @param {object} options - Deletion settings
+ * @param {string} options.projectName - Name of the Cloudflare Pages project
+ * @param {string} options.branch - Branch name of the deployments to delete
+ * @param {boolean} [options.dryRun] - Only list the deployments that would be deleted
+ * @param {boolean} [options.allowProduction] - Allow deleting deployments of the production branch
+ * @param {boolean} [options.matchUrl] - Fall back to matching the branch alias URL when no deployment has branch metadata
+ * @returns {Promise<{deleted: Array<{id: string, url: string, branch: string}>, failed: Array<{id: string, url: string, branch: string}>}>} - Deployments that were and were not deleted
+ */
+export async function deleteDeploymentFromCloudflare(options) {
+  const { projectName, branch } = options;
+  core.info(`Deleting all Cloudflare Pages deployments for project "${projectName}" on branch "${branch}"`);
+  
+  let project;
+  let deployments;
+  try {
+    project = await getProject(projectName);
+    deployments = await listAllDeployments(projectName);
+  } catch (error) {
+    if (error.status === 404) {
+      core.warning(`Project "${projectName}" not found. Continuing with GitHub cleanup.`);
+    } else {
+      core.warning(`Failed to list Cloudflare deployments: ${error.message}`);
+      core.info('Will continue with GitHub cleanup despite Cloudflare API errors.');
+    }
+    return { deleted: [], failed: [] };
+  }
+  core.info(`Found ${deployments.length} total deployments for project "${projectName}"`);
+  
+  const branchUrl = resolveBranchUrl(project, branch);
+  if (branchUrl.production && !options.allowProduction) {
+    throw new Error(`Refusing to delete deployments of "${branch}", the production branch of project "${projectName}". Set ALLOW_PRODUCTION_DELETE to "true" to allow it`);
+  }
+  
+  const toEntry = deployment => ({ id: deployment.id, url: deployment.url, branch: deployment.deployment_trigger?.metadata?.branch || branch });
+  const deleted = [];
+  const failed = [];
+  const attempted = new Set();
+  
+  // A deploy of the branch that finishes while we delete would leave a live deployment behind,
+  // so the list is fetched again after each pass until no new deployments show up
+  for (let pass = 1; pass <= MAX_DELETE_PASSES; pass++) {
+    if (pass > 1) {
+      try {
+        deployments = await listAllDeployments(projectName);
+      } catch (error) {
+        core.warning(`Failed to list Cloudflare deployments again: ${error.message}`);
+        break;
+      }
+    }
+    
+    const { matching, skipped } = matchBranchDeployments(deployments, branch, branchUrl, options);
+    if (pass === 1 && skipped.length > 0) {
+      core.warning(`Skipping ${skipped.length} production deployments, set ALLOW_PRODUCTION_DELETE to "true" to delete them`);
+    }
+    
+    const matchingDeployments = matching.filter(deployment => !attempted.has(deployment.id));
+    if (matchingDeployments.length === 0) {
+      if (pass === 1) {
+        core.warning(`No deployments found for branch "${branch}". Will continue with GitHub cleanup.`);
+      }
+      break;
+    }
+    
+    core.info(pass === 1
+      ? `Found ${matchingDeployments.length} deployments for branch "${branch}"`
+      : `Found ${matchingDeployments.length} new deployments for branch "${branch}" created while deleting`);
+    matchingDeployments.forEach(deployment => {
+      attempted.add(deployment.id);
+      core.info(`  - Deployment ${deployment.id}: ${deployment.url || 'N/A'} (created: ${new Date(deployment.created_on).toISOString()})`);
+    });
+    
+    if (options.dryRun) {
+      core.info(`Dry run: would delete ${matchingDeployments.length} deployments for branch "${branch}"`);
+      return { deleted: matchingDeployments.map(toEntry), failed: [] };
+    }
+    
+    // A limited number of deletions run at once, the API client retries rate limited requests
+    const outcomes = await mapWithConcurrency(matchingDeployments, DELETE_CONCURRENCY, async deployment => {
+      try {
+        await deleteDeployment(projectName, deployment.id);
+        core.info(`Successfully deleted deployment "${deployment.id}" for branch "${branch}"`);
+        return { entry: toEntry(deployment), success: true };
+      } catch (error) {
+        core.warning(`Failed to delete deployment ${deployment.id}: ${error.message}`);
+        return { entry: toEntry(deployment), success: false };
+      }
+    });
+    
+    deleted.push(...outcomes.filter(outcome => outcome.success).map(outcome => outcome.entry));
+    failed.push(...outcomes.filter(outcome => !outcome.success).map(outcome => outcome.entry));
+  }
+  
+  core.info(`Deployment cleanup complete: ${deleted.length} deleted successfully, ${failed.length} failed`);
+  return { deleted, failed };
+}
+
+/**
+ * Deletes an entire Cloudflare Pages project, along with the Access application protecting its previews
+ * @param {object} options - Deletion settings
+ * @param {string} options.projectName - Name of the Cloudflare Pages project to delete
+ * @param {boolean} [options.dryRun] - Only list the deployments that would be deleted
+ * @returns {Promise<Array<{id: string, url: string, branch: string}>>} - Deployments removed along with the project
+ */
+export async function deleteProjectFromCloudflare(options) {
+  const { projectName } = options;
+  core.info(`Deleting Cloudflare Pages project "${projectName}"`);
+  
+  // Record the project and its deployments first, they are gone once the project is deleted
+  let project;
+  let deployments;
+  try {
+    project = await getProject(projectName);
+    deployments = await listAllDeployments(projectName);
+  } catch (error) {
+    if (error.status === 404) {
+      core.warning(`Project "${projectName}" does not exist or is already deleted.`);
+      return [];
+    }
+    throw new Error(`Failed to delete project: ${error.message}`);
+  }
+  
+  const deleted = deployments.map(deployment => ({
+    id: deployment.id,
+    url: deployment.url,
+    branch: deployment.deployment_trigger?.metadata?.branch,
+  }));
+  
+  if (options.dryRun) {
+    core.info(`Dry run: would delete project "${projectName}" and its ${deployments.length} deployments`);
+    deleted.forEach(entry => core.info(`  - Deployment ${entry.id}: ${entry.url} (${entry.branch || 'unknown branch'})`));
+    await removeAccessOfProject(project, options);
+    return deleted;
+  }
+  
+  try {
+    await deleteProject(projectName);
+  } catch (error) {
+    if (error.status === 404) {
+      core.warning(`Project "${projectName}" does not exist or is already deleted.`);
+      return [];
+    }
+    throw new Error(`Failed to delete project: ${error.message}`);
+  }
+  
+  core.info(`Successfully deleted project "${projectName}" and its ${deployments.length} deployments`);
+  await removeAccessOfProject(project, options);
+  return deleted;
+}
+
+/**
+ * Removes the Access application protecting the previews of a deleted project
+ * @param {object} project - Pages project from the Cloudflare API
+ * @param {object} options - See removePreviewAccess
+ * @returns {Promise<void>}
+ */
+async function removeAccessOfProject(project, options) {
+  try {
+    await removePreviewAccess(project, options);
+  } catch (error) {
+    // The project is gone either way, and most API tokens are not allowed to manage Access
+    if (error.status === 403) {
+      core.info(`Skipping Cloudflare Access cleanup, the API token cannot manage Access: ${error.message}`);
+      return;
+    }
+    core.warning(`Failed to remove Cloudflare Access application of project "${project.name}": ${error.message}`);
+  }
+}
@@ -0,0 +1,337 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import { renderTemplate } from './util.mjs';
+
+const MARKER_PREFIX = '<!-- deploy-ui-to-cloudflare';
+const MAX_HISTORY_ENTRIES = 20;
+
+// Marker key of the combined comment posted for SITES deploys, "/" cannot appear in project names
+const SITES_COMMENT_KEY = 'sites/all';
+
+const DEFAULT_DEPLOY_TEMPLATE = [
+  '### 🚀 PR Preview deployed',
+  '',
+  '| | |',
+  '|---|---|',
+  '| **Preview URL** | {{url}} |',
+  '| **Branch alias** | {{alias_url}} |',
+  '| **Commit** | {{sha}} |',
+  '| **Deployed at** | {{deployed_at}} |',
+].join('\n');
+
+const DEFAULT_CLEANUP_TEMPLATE = [
+  '### 🧹 PR Preview torn down',
+  '',
+  'The preview environment for `{{branch}}` has been cleaned up at {{torn_down_at}}.',
+  'Last deployed commit: {{sha}}',
+].join('\n');
+
+const DEFAULT_SITES_DEPLOY_TEMPLATE = [
+  '### 🚀 PR Previews deployed',
+  '',
+  '{{sites_table}}',
+  '',
+  'Commit {{sha}} deployed at {{deployed_at}}',
+].join('\n');
+
+const DEFAULT_SITES_CLEANUP_TEMPLATE = [
+  '### 🧹 PR Previews torn down',
+  '',
+  '{{sites_table}}',
+  '',
+  'The preview environments for `{{branch}}` have been cleaned up at {{torn_down_at}}.',
+].join('\n');
+
+/**
+ * Formats a date the same way everywhere in the comment
+ * @param {string} isoDate - ISO 8601 timestamp
+ * @returns {string}
+ */
+function formatDate(isoDate) {
+  return isoDate.replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+}
+
+/**
+ * Builds the hidden marker that identifies this project's comment and stores its state
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} [state] - State to embed in the marker
+ * @returns {string}
+ */
+function buildMarker(projectName, state) {
+  const encodedState = state ? ` ${Buffer.from(JSON.stringify(state)).toString('base64')}` : '';
+  return `${MARKER_PREFIX}:${projectName}${encodedState} -->`;
+}
+
+/**
+ * Extracts the embedded state from an existing comment body
+ * @param {string} body - Comment body
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {{deployments: Array<object>, tornDownAt?: string}}
+ */
+function parseState(body, projectName) {
+  const match = body.match(new RegExp(`${MARKER_PREFIX}:${projectName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} ([A-Za-z0-9+/=]+) -->`));
+  if (match) {
+    try {
+      return JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    } catch (error) {
+      core.warning(`Could not read deployment history from existing PR comment: ${error.message}`);
+    }
+  }
+  return { deployments: [] };
+}
+
+/**
+ * Looks up the login the token comments as
+ * @param {object} octokit - Authenticated Octokit instance
+ * @returns {Promise<string|null>} - The login, or null when the token cannot read its own user
+ */
+async function getOwnLogin(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch (error) {
+    // GITHUB_TOKEN and other app installation tokens are not allowed to read /user
+    core.debug(`Could not look up the token's user: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Finds the sticky comment for a project on a pull request
+ * @param {object} octokit - Authenticated Octokit instance
+ * @param {number} prNumber - Pull request number
+ * @param {string} projectName - Cloudflare Pages project name
+ * @returns {Promise<object|undefined>} - The comment, if one exists
+ */
+async function findComment(octokit, prNumber, projectName) {
+  const context = github.context;
+  const marker = `${MARKER_PREFIX}:${projectName} `;
+
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    issue_number: prNumber,
+    per_page: 100,
+  });
+
+  // Anyone can paste the marker into a comment, so only comments posted by this token count.
+  // Without a login to compare, fall back to bot comments, which is what GITHUB_TOKEN posts as.
+  const ownLogin = await getOwnLogin(octokit);
+  const isOwn = comment => ownLogin ? comment.user?.login === ownLogin : comment.user?.type === 'Bot';
+
+  return comments.find(comment => isOwn(comment) && comment.body && comment.body.includes(marker));
+}
+
+/**
+ * Renders the full comment body for the given state
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {{deployments: Array<object>, tornDownAt?: string}} state - Comment state, newest deployment first
+ * @param {string} template - Template for the top section of the comment
+ * @param {string} [appendix] - Markdown shown below the template for the latest deployment only
+ * @returns {string}
+ */
+function renderComment(projectName, state, template, appendix) {
+  const [latest = {}, ...previous] = state.deployments;
+  const values = {
+    project: projectName,
+    url: latest.url || '',
+    alias_url: latest.aliasUrl || latest.url || '',
+    deployment_url: latest.deploymentUrl || latest.url || '',
+    sha: latest.sha || '',
+    short_sha: (latest.sha || '').slice(0, 7),
+    branch: latest.branch || '',
+    deployed_at: latest.deployedAt ? formatDate(latest.deployedAt) : '',
+    torn_down_at: state.tornDownAt ? formatDate(state.tornDownAt) : '',
+    pr_number: String(latest.prNumber || ''),
+  };
+
+  const sections = [renderTemplate(template, values)];
+  if (appendix) {
+    sections.push(appendix);
+  }
+
+  if (previous.length > 0) {
+    const rows = previous.map(entry =>
+      `| ${formatDate(entry.deployedAt)} | ${(entry.sha || '').slice(0, 7)} | ${entry.deploymentUrl || entry.url} |`
+    );
+    sections.push([
+      `<details><summary>Deployment history (${previous.length})</summary>`,
+      '',
+      '| Deployed at | Commit | URL |',
+      '|---|---|---|',
+      ...rows,
+      '',
+      '</details>',
+    ].join('\n'));
+  }
+
+  sections.push(buildMarker(projectName, state));
+  return sections.join('\n\n');
+}
+
+/**
+ * Creates the sticky comment or updates it in place
+ * @param {string} token - GitHub token
+ * @param {string} prNumber - Pull request number
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {function(object): object} updateState - Produces the new state from the existing one
+ * @param {function(object): string} render - Renders the comment body for the new state
+ * @returns {Promise<void>}
+ */
+async function upsertComment(token, prNumber, projectName, updateState, render) {
+  if (!token || !prNumber) {
+    throw new Error('GitHub token and PR number are required to comment on a PR');
+  }
+
+  const octokit = github.getOctokit(token);
+  const context = github.context;
+  const issueNumber = parseInt(prNumber);
+
+  try {
+    const existing = await findComment(octokit, issueNumber, projectName);
+    const state = updateState(existing ? parseState(existing.body, projectName) : { deployments: [] });
+    const body = render(state);
+
+    if (existing) {
+      core.info(`Updating preview comment ${existing.id} on PR #${prNumber}`);
+      await octokit.rest.issues.updateComment({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        comment_id: existing.id,
+        body,
+      });
+    } else {
+      core.info(`Adding preview comment to PR #${prNumber}`);
+      await octokit.rest.issues.createComment({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: issueNumber,
+        body,
+      });
+    }
+  } catch (error) {
+    throw new Error(`Failed to comment on PR #${prNumber}: ${error.message}`);
+  }
+}
+
+/**
+ * Records a new deployment in the sticky PR comment
+ * @param {string} token - GitHub token
+ * @param {string} prNumber - Pull request number
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} deployment - Deployment details
+ * @param {string} deployment.url - Preferred preview URL
+ * @param {string} [deployment.aliasUrl] - Branch alias URL
+ * @param {string} [deployment.deploymentUrl] - Commit-specific deployment URL
+ * @param {string} deployment.sha - Commit SHA that was deployed
+ * @param {string} deployment.branch - Branch that was deployed
+ * @param {string} [template] - Custom template, see COMMENT_TEMPLATE
+ * @param {string} [appendix] - Markdown shown below the template, e.g. the asset report, not kept in the comment state
+ * @returns {Promise<void>}
+ */
+export async function commentDeployment(token, prNumber, projectName, deployment, template, appendix) {
+  const entry = { ...deployment, prNumber, deployedAt: new Date().toISOString() };
+
+  await upsertComment(token, prNumber, projectName, state => ({
+    deployments: [entry, ...state.deployments.filter(previous => previous.deployedAt)].slice(0, MAX_HISTORY_ENTRIES),
+  }), state => renderComment(projectName, state, template || DEFAULT_DEPLOY_TEMPLATE, appendix));
+}
+
+/**
+ * Switches the sticky PR comment to its "torn down" state
+ * @param {string} token - GitHub token
+ * @param {string} prNumber - Pull request number
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} branch - Branch whose preview was removed
+ * @param {string} [template] - Custom template, see COMMENT_CLEANUP_TEMPLATE
+ * @returns {Promise<void>}
+ */
+export async function commentTeardown(token, prNumber, projectName, branch, template) {
+  await upsertComment(token, prNumber, projectName, state => ({
+    deployments: state.deployments.length > 0 ? state.deployments : [{ branch, prNumber }],
+    tornDownAt: new Date().toISOString(),
+  }), state => renderComment(projectName, state, template || DEFAULT_CLEANUP_TEMPLATE));
+}
+
+/**
+ * Renders the combined comment of a SITES deploy, one table row per site
+ * @param {{sites: Object<string, object>, sha?: string, branch?: string, deployedAt?: string, tornDownAt?: string, prNumber?: string}} state - Comment state keyed by project
+ * @param {string} template - Template for the comment, `{{sites_table}}` being replaced by the table
+ * @param {string} [appendix] - Markdown shown below the template
+ * @returns {string}
+ */
+function renderSitesComment(state, template, appendix) {
+  const rows = Object.entries(state.sites).map(([project, site]) => {
+    let status = '✅ Deployed';
+    if (site.tornDownAt) {
+      status = '🧹 Torn down';
+    } else if (site.error) {
+      status = '❌ Failed';
+    }
+    return `| ${project} | ${status} | ${site.url || ''} | ${(site.sha || '').slice(0, 7)} | ${site.deployedAt ? formatDate(site.deployedAt) : ''} |`;
+  });
+
+  const values = {
+    sites_table: ['| Project | Status | Preview URL | Commit | Updated at |', '|---|---|---|---|---|', ...rows].join('\n'),
+    sha: state.sha || '',
+    short_sha: (state.sha || '').slice(0, 7),
+    branch: state.branch || '',
+    deployed_at: state.deployedAt ? formatDate(state.deployedAt) : '',
+    torn_down_at: state.tornDownAt ? formatDate(state.tornDownAt) : '',
+    pr_number: String(state.prNumber || ''),
+  };
+
+  return [renderTemplate(template, values), appendix, buildMarker(SITES_COMMENT_KEY, state)].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Records the deployments of several sites in one combined PR comment
+ *
+ * Sites that were not part of this run keep their previous row, so the table lists every
+ * site that was ever previewed for the pull request.
+ * @param {string} token - GitHub token
+ * @param {string} prNumber - Pull request number
+ * @param {Array<{project: string, url?: string, sha: string, branch: string, error?: string}>} sites - Result of each site
+ * @param {object} details - Details shared by every site
+ * @param {string} details.sha - Commit SHA that was deployed
+ * @param {string} details.branch - Branch that was deployed
+ * @param {string} [template] - Custom template, see COMMENT_TEMPLATE
+ * @param {string} [appendix] - Markdown shown below the template, e.g. the asset reports, not kept in the comment state
+ * @returns {Promise<void>}
+ */
+export async function commentSitesDeployment(token, prNumber, sites, details, template, appendix) {
+  const deployedAt = new Date().toISOString();
+
+  await upsertComment(token, prNumber, SITES_COMMENT_KEY, state => {
+    const previousSites = state.sites || {};
+    const updatedSites = { ...previousSites };
+    for (const site of sites) {
+      updatedSites[site.project] = site.error
+        // Keep the last working preview URL of a site whose deploy failed
+        ? { ...previousSites[site.project], error: site.error, deployedAt }
+        : { url: site.url, sha: site.sha, branch: site.branch, deployedAt };
+    }
+    return { sites: updatedSites, sha: details.sha, branch: details.branch, prNumber, deployedAt };
+  }, state => renderSitesComment(state, template || DEFAULT_SITES_DEPLOY_TEMPLATE, appendix));
+}
+
+/**
+ * Switches the rows of the given sites in the combined PR comment to their "torn down" state
+ * @param {string} token - GitHub token
+ * @param {string} prNumber - Pull request number
+ * @param {Array<string>} projects - Projects whose previews were removed
+ * @param {string} branch - Branch whose previews were removed
+ * @param {string} [template] - Custom template, see COMMENT_CLEANUP_TEMPLATE
+ * @returns {Promise<void>}
+ */
+export async function commentSitesTeardown(token, prNumber, projects, branch, template) {
+  const tornDownAt = new Date().toISOString();
+
+  await upsertComment(token, prNumber, SITES_COMMENT_KEY, state => {
+    const updatedSites = { ...state.sites };
+    for (const project of projects) {
+      updatedSites[project] = { ...updatedSites[project], tornDownAt };
+    }
+    return { ...state, sites: updatedSites, branch: state.branch || branch, prNumber, tornDownAt };
+  }, state => renderSitesComment(state, template || DEFAULT_SITES_CLEANUP_TEMPLATE));
+}
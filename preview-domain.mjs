@@ -0,0 +1,194 @@
+import * as core from '@actions/core';
+import { cloudflareRequest, getAccountApi, getApiBaseUrl, getProject, getProjectApi } from './cloudflare-api.mjs';
+import { branchToAlias, resolveBranchUrl } from './branch-alias.mjs';
+import { renderTemplate, sleep } from './util.mjs';
+
+const POLL_INTERVAL_MS = 10 * 1000;
+
+const HOSTNAME_REGEX = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/;
+
+/**
+ * Renders the PREVIEW_DOMAIN template into the hostname of a preview
+ * @param {string} template - Hostname template, e.g. "pr-{{pr_number}}.preview.example.com"
+ * @param {object} values - Placeholder values
+ * @param {string} [values.prNumber] - Pull request number, replaces `{{pr_number}}`
+ * @param {string} values.branch - Branch name, its alias replaces `{{branch}}`
+ * @param {string} values.project - Cloudflare Pages project name, replaces `{{project}}`
+ * @returns {string|null} - The hostname, or null if the template needs a PR number and there is none
+ */
+export function renderPreviewDomain(template, values) {
+  if (/\{\{\s*pr_number\s*\}\}/.test(template) && !values.prNumber) {
+    return null;
+  }
+
+  const hostname = renderTemplate(template, {
+    pr_number: values.prNumber || '',
+    branch: branchToAlias(values.branch) || '',
+    project: values.project.toLowerCase(),
+  }).toLowerCase();
+
+  if (!HOSTNAME_REGEX.test(hostname)) {
+    throw new Error(`PREVIEW_DOMAIN rendered "${hostname}", which is not a valid hostname`);
+  }
+  return hostname;
+}
+
+/**
+ * Lists the CNAME records of a hostname in a zone
+ * @param {string} zoneId - Zone of the hostname
+ * @param {string} hostname - Record name
+ * @returns {Promise<Array<object>>}
+ */
+async function findCnameRecords(zoneId, hostname) {
+  const { token } = getAccountApi();
+  const url = new URL(`${getApiBaseUrl()}/zones/${zoneId}/dns_records`);
+  url.searchParams.set('type', 'CNAME');
+  url.searchParams.set('name', hostname);
+  return cloudflareRequest(url.toString(), token);
+}
+
+/**
+ * Points a hostname at a target with a proxied CNAME record, creating or updating it
+ * @param {string} zoneId - Zone of the hostname
+ * @param {string} hostname - Record name
+ * @param {string} target - Hostname the record points at
+ * @returns {Promise<void>}
+ */
+async function upsertCnameRecord(zoneId, hostname, target) {
+  const { token } = getAccountApi();
+  const recordsUrl = `${getApiBaseUrl()}/zones/${zoneId}/dns_records`;
+  const [existing] = await findCnameRecords(zoneId, hostname);
+
+  if (existing?.content === target) {
+    core.info(`DNS record ${hostname} already points at ${target}`);
+    return;
+  }
+
+  const record = { type: 'CNAME', name: hostname, content: target, proxied: true, ttl: 1 };
+  if (existing) {
+    await cloudflareRequest(`${recordsUrl}/${existing.id}`, token, { method: 'PATCH', body: JSON.stringify(record) });
+    core.info(`Updated DNS record ${hostname} → ${target}`);
+  } else {
+    await cloudflareRequest(recordsUrl, token, { method: 'POST', body: JSON.stringify(record) });
+    core.info(`Created DNS record ${hostname} → ${target}`);
+  }
+}
+
+/**
+ * Waits until Cloudflare has verified a custom domain and issued its certificate
+ * @param {string} domainUrl - API URL of the project domain
+ * @param {string} token - API token
+ * @param {number} timeoutSeconds - How long to wait
+ * @returns {Promise<boolean>} - Whether the domain became active in time
+ */
+async function waitUntilActive(domainUrl, token, timeoutSeconds) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+
+  for (;;) {
+    const domain = await cloudflareRequest(domainUrl, token);
+    if (domain.status === 'active') {
+      return true;
+    }
+    if (['error', 'blocked'].includes(domain.status)) {
+      throw new Error(`Custom domain ${domain.name} is ${domain.status}: ${domain.validation_data?.error_message || domain.verification_data?.error_message || 'no details'}`);
+    }
+    if (Date.now() + POLL_INTERVAL_MS > deadline) {
+      return false;
+    }
+    core.info(`Waiting for custom domain ${domain.name} to become active (status: ${domain.status})`);
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Serves the branch alias of a preview from a custom domain
+ *
+ * Adds the hostname to the custom domains of the project and points it at the branch alias
+ * with a CNAME record, which makes Pages serve that branch instead of production.
+ * @param {object} project - Pages project from the Cloudflare API
+ * @param {string} branch - Branch of the preview
+ * @param {string} hostname - Custom hostname, see renderPreviewDomain
+ * @param {object} options - Custom domain settings
+ * @param {string} options.zoneId - Zone the CNAME record is created in
+ * @param {number} options.timeoutSeconds - How long to wait for the domain to become active
+ * @returns {Promise<string|null>} - URL of the custom domain, or null if it did not become active in time
+ */
+export async function attachPreviewDomain(project, branch, hostname, options) {
+  const { alias, url: aliasUrl } = resolveBranchUrl(project, branch);
+  if (!alias) {
+    core.warning(`Branch "${branch}" has no alias to serve ${hostname} from, skipping the custom domain`);
+    return null;
+  }
+
+  const { projectUrl, token } = getProjectApi(project.name);
+  const domainUrl = `${projectUrl}/domains/${hostname}`;
+
+  try {
+    await cloudflareRequest(domainUrl, token);
+    core.info(`Custom domain ${hostname} is already attached to project "${project.name}"`);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    await cloudflareRequest(`${projectUrl}/domains`, token, { method: 'POST', body: JSON.stringify({ name: hostname }) });
+    core.info(`Attached custom domain ${hostname} to project "${project.name}"`);
+  }
+
+  await upsertCnameRecord(options.zoneId, hostname, new URL(aliasUrl).hostname);
+
+  if (!await waitUntilActive(domainUrl, token, options.timeoutSeconds)) {
+    core.warning(`Custom domain ${hostname} did not become active within ${options.timeoutSeconds}s, using ${aliasUrl} instead`);
+    return null;
+  }
+
+  core.info(`Custom domain ${hostname} is active`);
+  return `https://${hostname}`;
+}
+
+/**
+ * Removes the custom domain of a preview and its CNAME record
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} hostname - Custom hostname, see renderPreviewDomain
+ * @param {object} options - Removal settings
+ * @param {string} options.zoneId - Zone of the CNAME record
+ * @param {boolean} [options.dryRun] - Only log what would be removed
+ * @returns {Promise<void>}
+ */
+export async function detachPreviewDomain(projectName, hostname, options) {
+  const { projectUrl, token } = getProjectApi(projectName);
+
+  let project;
+  try {
+    project = await getProject(projectName);
+  } catch (error) {
+    if (error.status === 404) {
+      core.warning(`Project "${projectName}" not found, skipping custom domain ${hostname}`);
+      return;
+    }
+    throw error;
+  }
+
+  // Only remove records pointing at this project, never an unrelated record of the same name
+  const records = (await findCnameRecords(options.zoneId, hostname))
+    .filter(record => record.content === project.subdomain || record.content.endsWith(`.${project.subdomain}`));
+
+  if (options.dryRun) {
+    core.info(`Dry run: would detach custom domain ${hostname} and delete ${records.length} DNS records`);
+    return;
+  }
+
+  try {
+    await cloudflareRequest(`${projectUrl}/domains/${hostname}`, token, { method: 'DELETE' });
+    core.info(`Detached custom domain ${hostname} from project "${projectName}"`);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+    core.info(`Custom domain ${hostname} is not attached to project "${projectName}"`);
+  }
+
+  for (const record of records) {
+    await cloudflareRequest(`${getApiBaseUrl()}/zones/${options.zoneId}/dns_records/${record.id}`, token, { method: 'DELETE' });
+    core.info(`Deleted DNS record ${hostname} → ${record.content}`);
+  }
+}
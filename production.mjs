@@ -0,0 +1,133 @@
+import * as core from '@actions/core';
+import { cloudflareRequest, getProjectApi, listAllDeployments } from './cloudflare-api.mjs';
+import { readContentDigest, stripContentDigest, uploadToPages } from './direct-upload.mjs';
+import { writeHeadersFile, writeRedirectsFile } from './pages-rules.mjs';
+
+/**
+ * Checks whether a deployment finished successfully
+ * @param {object} deployment - Deployment object from the Cloudflare API
+ * @returns {boolean}
+ */
+function isSuccessful(deployment) {
+  return deployment.latest_stage?.status === 'success';
+}
+
+/**
+ * Fetches a single deployment of a project
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} deploymentId - Deployment ID
+ * @returns {Promise<object>}
+ */
+async function getDeployment(projectName, deploymentId) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  try {
+    return await cloudflareRequest(`${projectUrl}/deployments/${deploymentId}`, token);
+  } catch (error) {
+    throw new Error(`Deployment "${deploymentId}" not found in project "${projectName}": ${error.message}`);
+  }
+}
+
+/**
+ * Rolls the production environment of a Pages project back to an earlier production deployment
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} [deploymentId] - Deployment to roll back to. Defaults to the production
+ *   deployment that preceded the current one
+ * @returns {Promise<object>} - The deployment that is now live in production
+ */
+export async function rollbackProduction(projectName, deploymentId) {
+  const { projectUrl, token } = getProjectApi(projectName);
+
+  const project = await cloudflareRequest(projectUrl, token);
+  const current = project.canonical_deployment;
+
+  let target;
+  if (deploymentId) {
+    target = await getDeployment(projectName, deploymentId);
+  } else {
+    const deployments = await listAllDeployments(projectName);
+    const currentCreatedOn = current ? new Date(current.created_on) : new Date();
+
+    target = deployments
+      .filter(deployment => deployment.environment === 'production' && isSuccessful(deployment))
+      .filter(deployment => deployment.id !== current?.id && new Date(deployment.created_on) < currentCreatedOn)
+      .sort((a, b) => new Date(b.created_on) - new Date(a.created_on))[0];
+
+    if (!target) {
+      throw new Error(`No earlier successful production deployment found for project "${projectName}"`);
+    }
+  }
+
+  if (target.environment !== 'production') {
+    throw new Error(`Deployment "${target.id}" is a ${target.environment} deployment, only production deployments can be rolled back to. Use EVENT "promote" instead`);
+  }
+  if (!isSuccessful(target)) {
+    throw new Error(`Deployment "${target.id}" did not finish successfully and cannot be rolled back to`);
+  }
+  if (target.id === current?.id) {
+    throw new Error(`Deployment "${target.id}" is already the current production deployment`);
+  }
+
+  core.info(`Rolling back production of "${projectName}" from ${current?.id || 'none'} to ${target.id} (${target.deployment_trigger?.metadata?.commit_hash || 'unknown commit'})`);
+
+  const deployment = await cloudflareRequest(`${projectUrl}/deployments/${target.id}/rollback`, token, { method: 'POST' });
+
+  core.info(`Production now serves deployment ${deployment.id}: ${deployment.url}`);
+  return deployment;
+}
+
+/**
+ * Promotes an existing preview deployment to production without rebuilding
+ *
+ * The Pages API can only roll back to production deployments, so the preview's build
+ * output is deployed to the production branch instead. The folder must have the content
+ * digest recorded on the preview, assets and special files included, so production serves
+ * exactly what the preview served and nothing is transferred again. HEADERS and REDIRECTS
+ * are applied first, as for the deploy, so the build artifact can be promoted as it is.
+ * @param {string} distFolder - Build output of the preview being promoted
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} deploymentId - Preview deployment to promote
+ * @param {object} [rules] - Rules the preview was deployed with
+ * @param {string} [rules.headers] - HEADERS input, as a JSON string
+ * @param {string} [rules.redirects] - REDIRECTS input, as a JSON string
+ * @returns {Promise<object>} - The new production deployment
+ */
+export async function promoteToProduction(distFolder, projectName, deploymentId, rules = {}) {
+  if (!deploymentId) {
+    throw new Error('The promote event requires DEPLOYMENT_ID of the preview deployment to promote');
+  }
+
+  const { projectUrl, token } = getProjectApi(projectName);
+
+  const project = await cloudflareRequest(projectUrl, token);
+  const preview = await getDeployment(projectName, deploymentId);
+
+  if (!isSuccessful(preview)) {
+    throw new Error(`Deployment "${deploymentId}" did not finish successfully and cannot be promoted`);
+  }
+  if (preview.environment === 'production') {
+    core.info(`Deployment "${deploymentId}" is a production deployment, rolling back to it instead`);
+    return rollbackProduction(projectName, deploymentId);
+  }
+
+  const expectedDigest = readContentDigest(preview);
+  if (!expectedDigest) {
+    throw new Error(`Deployment "${deploymentId}" has no content digest to verify ${distFolder} against, deploy the preview again before promoting it`);
+  }
+
+  // Merging is idempotent, so an artifact captured after the deploy wrote these files matches too
+  await writeHeadersFile(distFolder, rules.headers || '{}');
+  await writeRedirectsFile(distFolder, rules.redirects || '{}');
+
+  const metadata = preview.deployment_trigger?.metadata || {};
+  core.info(`Promoting preview deployment ${deploymentId} (${metadata.branch}@${metadata.commit_hash || 'unknown commit'}) to production branch "${project.production_branch}"`);
+
+  const deployment = await uploadToPages(distFolder, projectName, project.production_branch, {
+    commitHash: metadata.commit_hash,
+    commitMessage: stripContentDigest(metadata.commit_message) || `Promote preview deployment ${deploymentId}`,
+    requireUploaded: true,
+    expectedDigest,
+  });
+
+  core.info(`Production now serves deployment ${deployment.id}: ${deployment.url}`);
+  return deployment;
+}
@@ -0,0 +1,148 @@
+import * as core from '@actions/core';
+import { cloudflareRequest, getAccountApi, getProjectApi } from './cloudflare-api.mjs';
+
+/**
+ * Flattens a nested settings object into dot separated paths
+ * @param {object} obj - Settings object
+ * @param {string} [prefix] - Path prefix
+ * @returns {Array<[string, any]>}
+ */
+function flattenSettings(obj, prefix = '') {
+  return Object.entries(obj).flatMap(([key, value]) => {
+    const settingPath = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value)
+      ? flattenSettings(value, settingPath)
+      : [[settingPath, value]];
+  });
+}
+
+/**
+ * Reads a dot separated path from an object
+ * @param {object} obj - Object to read from
+ * @param {string} settingPath - Dot separated path
+ * @returns {any}
+ */
+function getSetting(obj, settingPath) {
+  return settingPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Deeply merges desired settings over current ones
+ * @param {object} current - Current settings
+ * @param {object} desired - Desired settings
+ * @returns {object}
+ */
+function mergeSettings(current, desired) {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(desired)) {
+    merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeSettings(current[key] || {}, value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Builds the desired project settings from action-style options, omitting anything not configured
+ * @param {object} options - Desired settings
+ * @param {string} [options.productionBranch] - Production branch of the project
+ * @param {string} [options.buildOutputDir] - Build output directory recorded in the build config
+ * @param {Array<string>} [options.previewBranchIncludes] - Branches that get preview deployments
+ * @param {Array<string>} [options.previewBranchExcludes] - Branches that never get preview deployments
+ * @returns {object}
+ */
+function buildDesiredSettings(options) {
+  const desired = {};
+
+  if (options.productionBranch) {
+    desired.production_branch = options.productionBranch;
+  }
+  if (options.buildOutputDir) {
+    desired.build_config = { destination_dir: options.buildOutputDir };
+  }
+  if (options.previewBranchIncludes?.length || options.previewBranchExcludes?.length) {
+    desired.source = {
+      config: {
+        preview_deployment_setting: 'custom',
+        preview_branch_includes: options.previewBranchIncludes || ['*'],
+        preview_branch_excludes: options.previewBranchExcludes || [],
+      },
+    };
+  }
+
+  return desired;
+}
+
+/**
+ * Makes sure a Pages project exists and matches the configured settings
+ *
+ * Missing projects are created. Existing projects are only patched for the
+ * settings that were explicitly configured and differ from the current ones.
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} options - Desired settings, see buildDesiredSettings
+ * @returns {Promise<object>} - The project after reconciliation
+ */
+export async function ensureProject(projectName, options = {}) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  const desired = buildDesiredSettings(options);
+
+  let project;
+  try {
+    project = await cloudflareRequest(projectUrl, token);
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  if (!project) {
+    core.info(`Cloudflare Pages project "${projectName}" does not exist, creating it`);
+
+    const { accountUrl } = getAccountApi();
+    const { source, ...createSettings } = desired;
+    if (source) {
+      core.warning('Preview branch rules only apply to Git-connected projects and were not applied to the new Direct Upload project');
+    }
+
+    project = await cloudflareRequest(`${accountUrl}/pages/projects`, token, {
+      method: 'POST',
+      body: JSON.stringify({ name: projectName, production_branch: 'main', ...createSettings }),
+    });
+
+    core.info(`Created project "${projectName}" (${project.subdomain}) with production branch "${project.production_branch}"`);
+    return project;
+  }
+
+  if (desired.source && !project.source) {
+    core.warning('Preview branch rules only apply to Git-connected projects, skipping them');
+    delete desired.source;
+  }
+
+  const changes = flattenSettings(desired)
+    .map(([settingPath, value]) => ({ settingPath, from: getSetting(project, settingPath), to: value }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+  if (changes.length === 0) {
+    core.info(`Cloudflare Pages project "${projectName}" is up to date`);
+    return project;
+  }
+
+  core.startGroup(`Updating ${changes.length} settings of project "${projectName}"`);
+  changes.forEach(change => core.info(`  ${change.settingPath}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`));
+  core.endGroup();
+
+  // Send whole top-level sections so nested settings that were not configured are preserved
+  const patch = {};
+  for (const { settingPath } of changes) {
+    const [section] = settingPath.split('.');
+    const value = desired[section];
+    patch[section] = value && typeof value === 'object' && !Array.isArray(value)
+      ? mergeSettings(project[section] || {}, value)
+      : value;
+  }
+
+  return cloudflareRequest(projectUrl, token, {
+    method: 'PATCH',
+    body: JSON.stringify(patch),
+  });
+}
@@ -0,0 +1,137 @@
+import * as core from '@actions/core';
+import { cloudflareRequest, deleteDeployment, getProjectApi, listAllDeployments, mapWithConcurrency } from './cloudflare-api.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the branch a deployment was made from
+ * @param {object} deployment - Deployment object from the Cloudflare API
+ * @returns {string}
+ */
+function getDeploymentBranch(deployment) {
+  return deployment.deployment_trigger?.metadata?.branch || '(unknown)';
+}
+
+/**
+ * Decides which deployments a retention policy keeps and which it removes
+ * @param {Array<object>} deployments - Deployments of the project
+ * @param {object} policy - Retention policy
+ * @param {number} [policy.keepLatest] - Number of newest deployments to always keep per branch
+ * @param {number} [policy.olderThanDays] - Only remove preview deployments older than this many days
+ * @param {string} [policy.productionDeploymentId] - ID of the current production deployment, never removed
+ * @param {Date} [now] - Reference time for age calculations
+ * @returns {{keep: Array<{deployment: object, reason: string}>, remove: Array<{deployment: object, reason: string}>}}
+ */
+function applyRetentionPolicy(deployments, policy, now = new Date()) {
+  const keep = [];
+  const remove = [];
+  const seenPerBranch = new Map();
+
+  const sorted = [...deployments].sort((a, b) => new Date(b.created_on) - new Date(a.created_on));
+
+  for (const deployment of sorted) {
+    const branch = getDeploymentBranch(deployment);
+    const position = (seenPerBranch.get(branch) || 0) + 1;
+    seenPerBranch.set(branch, position);
+
+    const ageDays = (now - new Date(deployment.created_on)) / DAY_MS;
+
+    if (deployment.id === policy.productionDeploymentId) {
+      keep.push({ deployment, reason: 'current production deployment' });
+    } else if (policy.keepLatest && position <= policy.keepLatest) {
+      keep.push({ deployment, reason: `newest ${policy.keepLatest} on branch` });
+    } else if (policy.olderThanDays && deployment.environment === 'production') {
+      keep.push({ deployment, reason: 'production deployment' });
+    } else if (policy.olderThanDays && ageDays < policy.olderThanDays) {
+      keep.push({ deployment, reason: `younger than ${policy.olderThanDays} days` });
+    } else {
+      const reason = policy.olderThanDays
+        ? `older than ${policy.olderThanDays} days`
+        : `beyond newest ${policy.keepLatest} on branch`;
+      remove.push({ deployment, reason });
+    }
+  }
+
+  return { keep, remove };
+}
+
+/**
+ * Prunes old deployments of a Cloudflare Pages project according to a retention policy
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} policy - Retention policy
+ * @param {number} [policy.keepLatest] - Number of newest deployments to always keep per branch
+ * @param {number} [policy.olderThanDays] - Only remove preview deployments older than this many days
+ * @param {number} [policy.concurrency] - Maximum number of deletions in flight
+ * @param {boolean} [policy.dryRun] - Only report what would be removed
+ * @returns {Promise<{kept: Array<object>, removed: Array<object>, failed: Array<object>}>}
+ */
+export async function pruneDeployments(projectName, policy) {
+  if (!policy.keepLatest && !policy.olderThanDays) {
+    throw new Error('The prune event requires PRUNE_KEEP_LATEST and/or PRUNE_OLDER_THAN_DAYS');
+  }
+
+  const { projectUrl, token } = getProjectApi(projectName);
+
+  core.info(`Pruning deployments of Cloudflare Pages project "${projectName}"`);
+
+  const project = await cloudflareRequest(projectUrl, token);
+  const productionDeploymentId = project.canonical_deployment?.id;
+  if (productionDeploymentId) {
+    core.info(`Current production deployment is ${productionDeploymentId}, it will not be touched`);
+  }
+
+  const deployments = await listAllDeployments(projectName);
+  core.info(`Found ${deployments.length} total deployments for project "${projectName}"`);
+
+  const { keep, remove } = applyRetentionPolicy(deployments, { ...policy, productionDeploymentId });
+
+  core.info(`Keeping ${keep.length} deployments, removing ${remove.length}`);
+
+  const results = await mapWithConcurrency(remove, policy.concurrency || 5, async ({ deployment, reason }) => {
+    if (policy.dryRun) {
+      return { deployment, reason, success: true };
+    }
+    try {
+      await deleteDeployment(projectName, deployment.id);
+      core.info(`Deleted deployment ${deployment.id} (${getDeploymentBranch(deployment)}, ${reason})`);
+      return { deployment, reason, success: true };
+    } catch (error) {
+      core.warning(`Failed to delete deployment ${deployment.id}: ${error.message}`);
+      return { deployment, reason, success: false, error: error.message };
+    }
+  });
+
+  const summarize = ({ deployment, reason, error }) => ({
+    id: deployment.id,
+    branch: getDeploymentBranch(deployment),
+    environment: deployment.environment,
+    createdOn: deployment.created_on,
+    url: deployment.url,
+    reason,
+    ...(error ? { error } : {}),
+  });
+
+  const report = {
+    kept: keep.map(summarize),
+    removed: results.filter(result => result.success).map(summarize),
+    failed: results.filter(result => !result.success).map(summarize),
+  };
+
+  core.startGroup(`Kept ${report.kept.length} deployments`);
+  report.kept.forEach(entry => core.info(`  - ${entry.id} [${entry.branch}] ${entry.createdOn}: ${entry.reason}`));
+  core.endGroup();
+
+  core.startGroup(`${policy.dryRun ? 'Would remove' : 'Removed'} ${report.removed.length} deployments`);
+  report.removed.forEach(entry => core.info(`  - ${entry.id} [${entry.branch}] ${entry.createdOn}: ${entry.reason}`));
+  core.endGroup();
+
+  core.info(policy.dryRun
+    ? `Prune dry run complete: ${report.removed.length} would be deleted, ${report.kept.length} kept`
+    : `Prune complete: ${report.removed.length} deleted, ${report.failed.length} failed, ${report.kept.length} kept`);
+
+  if (report.failed.length > 0) {
+    core.warning(`${report.failed.length} deployments could not be deleted: ${report.failed.map(entry => entry.id).join(', ')}`);
+  }
+
+  return report;
+}
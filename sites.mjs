@@ -0,0 +1,55 @@
+import { toJsonString } from './util.mjs';
+
+/**
+ * Parses the SITES input into a list of sites to deploy or delete
+ *
+ * Each entry is `{ "dist": "apps/web/dist", "project": "web", "branch": "main", "headers": {...} }`.
+ * `branch`, `headers` and `redirects` fall back to the action-wide inputs.
+ * @param {string} input - JSON array from the SITES input
+ * @param {object} defaults - Values from the action-wide inputs
+ * @param {string} defaults.branch - BRANCH input
+ * @param {string} defaults.headers - HEADERS input
+ * @param {string} defaults.redirects - REDIRECTS input
+ * @param {boolean} requireDist - Whether every site needs a `dist` folder, as when deploying
+ * @returns {Array<{dist: string, project: string, branch: string, headers: string, redirects: string}>}
+ */
+export function parseSites(input, defaults, requireDist) {
+  let parsed;
+  try {
+    parsed = JSON.parse(input);
+  } catch (error) {
+    throw new Error(`SITES is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) {
+    throw new Error('SITES must be a non-empty JSON array of { dist, project, branch, headers } entries');
+  }
+
+  const sites = parsed.map((entry, index) => {
+    if (!entry || typeof entry !== 'object' || !entry.project) {
+      throw new Error(`SITES entry ${index + 1}: "project" is required`);
+    }
+    if (requireDist && !entry.dist) {
+      throw new Error(`SITES entry ${index + 1} (${entry.project}): "dist" is required to deploy`);
+    }
+
+    return {
+      dist: entry.dist,
+      project: entry.project,
+      branch: entry.branch || defaults.branch,
+      headers: toJsonString(entry.headers, defaults.headers),
+      redirects: toJsonString(entry.redirects, defaults.redirects),
+    };
+  });
+
+  const seen = new Set();
+  for (const site of sites) {
+    const key = `${site.project}@${site.branch}`;
+    if (seen.has(key)) {
+      throw new Error(`SITES lists project "${site.project}" on branch "${site.branch}" more than once`);
+    }
+    seen.add(key);
+  }
+
+  return sites;
+}
@@ -0,0 +1,154 @@
+import * as core from '@actions/core';
+import { sleep } from './util.mjs';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Minimal HTTP client for checking a deployed site
+ * @param {string} baseUrl - Base URL every request path is resolved against
+ * @param {Object<string, string>} [headers] - Headers sent with every request
+ * @returns {{get: function(string): Promise<Response>}}
+ */
+function createHttpClient(baseUrl, headers = {}) {
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+
+  return {
+    get: path => fetch(new URL(path.replace(/^\//, ''), base), {
+      headers,
+      redirect: 'manual',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }),
+  };
+}
+
+/**
+ * Parses the SMOKE_CHECK_PATHS input
+ * @param {string} pathsJson - JSON object of paths to expected status codes, or array of paths expected to return 200
+ * @returns {Object<string, number>}
+ */
+export function parseSmokeCheckPaths(pathsJson) {
+  let parsed;
+  try {
+    parsed = JSON.parse(pathsJson || '{"/":200}');
+  } catch (error) {
+    throw new Error(`SMOKE_CHECK_PATHS is not valid JSON: ${error.message}`);
+  }
+
+  if (Array.isArray(parsed)) {
+    parsed = Object.fromEntries(parsed.map(path => [path, 200]));
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('SMOKE_CHECK_PATHS must be a JSON object of paths to status codes or an array of paths');
+  }
+
+  const paths = {};
+  for (const [path, status] of Object.entries(parsed)) {
+    const expectedStatus = Number(status);
+    if (!path.startsWith('/')) {
+      throw new Error(`SMOKE_CHECK_PATHS path "${path}" must start with "/"`);
+    }
+    if (!Number.isInteger(expectedStatus) || expectedStatus < 100 || expectedStatus > 599) {
+      throw new Error(`SMOKE_CHECK_PATHS status for "${path}" must be an HTTP status code, got ${JSON.stringify(status)}`);
+    }
+    paths[path] = expectedStatus;
+  }
+  return paths;
+}
+
+/**
+ * Polls the site until `/` returns the expected status
+ * @param {object} client - HTTP client from createHttpClient
+ * @param {number} [expectedStatus] - Status `/` must return, any 2xx or 3xx when not given
+ * @param {number} timeoutSeconds - How long to keep polling
+ * @param {number} intervalSeconds - Delay between attempts
+ * @returns {Promise<{passed: boolean, message: string}>}
+ */
+async function waitUntilResponding(client, expectedStatus, timeoutSeconds, intervalSeconds) {
+  const deadline = Date.now() + timeoutSeconds * 1000;
+  let lastError = 'no response';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await client.get('/');
+      // A fresh deployment can answer 404 until it has propagated, so only the expected status counts
+      if (expectedStatus ? response.status === expectedStatus : response.status >= 200 && response.status < 400) {
+        return { passed: true, message: `Site responded with ${response.status} after ${attempt} attempt(s)` };
+      }
+      lastError = `status ${response.status}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+
+    if (Date.now() + intervalSeconds * 1000 > deadline) {
+      return { passed: false, message: `Site did not respond within ${timeoutSeconds}s (last result: ${lastError})` };
+    }
+    core.info(`Waiting for site to respond (attempt ${attempt}: ${lastError})`);
+    await sleep(intervalSeconds * 1000);
+  }
+}
+
+/**
+ * Runs post-deploy smoke checks against a deployed site
+ * @param {string} url - URL of the deployment to check
+ * @param {object} options - Check configuration
+ * @param {Object<string, number>} [options.paths] - Paths mapped to the status code they must return, see parseSmokeCheckPaths
+ * @param {string} [options.versionFile] - Path of a file that must contain `expectedSha`
+ * @param {string} [options.expectedSha] - Commit SHA expected in the version file
+ * @param {number} [options.timeoutSeconds] - How long to wait for the site to respond
+ * @param {number} [options.intervalSeconds] - Delay between availability polls
+ * @param {string} [options.baseUrl] - Overrides `url`, e.g. to test against a local server
+ * @param {Object<string, string>} [options.headers] - Headers sent with every request, e.g. Access service token credentials
+ * @returns {Promise<{passed: boolean, results: Array<{check: string, passed: boolean, message: string}>}>}
+ */
+export async function runSmokeChecks(url, options = {}) {
+  const targetUrl = options.baseUrl || url;
+  const client = createHttpClient(targetUrl, options.headers);
+  const results = [];
+
+  core.info(`Running smoke checks against ${targetUrl}`);
+
+  const paths = options.paths || { '/': 200 };
+  const availability = await waitUntilResponding(client, paths['/'], options.timeoutSeconds ?? 120, options.intervalSeconds ?? 5);
+  results.push({ check: 'availability', ...availability });
+
+  if (availability.passed) {
+    for (const [path, expectedStatus] of Object.entries(paths)) {
+      try {
+        const response = await client.get(path);
+        const passed = response.status === expectedStatus;
+        results.push({ check: `GET ${path}`, passed, message: `expected ${expectedStatus}, got ${response.status}` });
+      } catch (error) {
+        results.push({ check: `GET ${path}`, passed: false, message: error.message });
+      }
+    }
+
+    if (options.versionFile) {
+      const check = `${options.versionFile} contains commit`;
+      try {
+        const response = await client.get(options.versionFile);
+        const body = await response.text();
+        if (!response.ok) {
+          results.push({ check, passed: false, message: `request failed with ${response.status}` });
+        } else if (!options.expectedSha || !body.includes(options.expectedSha)) {
+          results.push({ check, passed: false, message: `expected ${options.expectedSha || '(unknown commit)'}, got ${body.trim().slice(0, 100)}` });
+        } else {
+          results.push({ check, passed: true, message: `found ${options.expectedSha}` });
+        }
+      } catch (error) {
+        results.push({ check, passed: false, message: error.message });
+      }
+    }
+  }
+
+  for (const result of results) {
+    const line = `${result.passed ? '✅' : '❌'} ${result.check}: ${result.message}`;
+    if (result.passed) {
+      core.info(line);
+    } else {
+      core.error(line);
+    }
+  }
+
+  return { passed: results.every(result => result.passed), results };
+}
@@ -0,0 +1,129 @@
+import assert from 'assert/strict';
+import http from 'http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { parseSmokeCheckPaths, runSmokeChecks } from './smoke-checks.mjs';
+
+let server;
+let baseUrl;
+let requests;
+let routes;
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    requests.push({ path: request.url, headers: request.headers });
+    const route = routes[request.url];
+    const { status, body = '', headers = {} } = typeof route === 'function' ? route(requests.length) : route || { status: 404 };
+    response.writeHead(status, headers);
+    response.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  routes = {};
+});
+
+describe('parseSmokeCheckPaths', () => {
+  it('defaults to / returning 200', () => {
+    assert.deepEqual(parseSmokeCheckPaths(''), { '/': 200 });
+  });
+
+  it('expects 200 for every path of an array', () => {
+    assert.deepEqual(parseSmokeCheckPaths('["/", "/about"]'), { '/': 200, '/about': 200 });
+  });
+
+  it('accepts statuses given as strings', () => {
+    assert.deepEqual(parseSmokeCheckPaths('{"/": 200, "/old": "301"}'), { '/': 200, '/old': 301 });
+  });
+
+  for (const [input, error] of [
+    ['{"/": "ok"}', /status for "\/" must be an HTTP status code, got "ok"/],
+    ['{"/": 700}', /status for "\/" must be an HTTP status code, got 700/],
+    ['{"/": 200.5}', /must be an HTTP status code/],
+    ['{"about": 200}', /path "about" must start with "\/"/],
+    ['"/"', /must be a JSON object/],
+    ['{"/":', /is not valid JSON/],
+  ]) {
+    it(`rejects ${input}`, () => {
+      assert.throws(() => parseSmokeCheckPaths(input), error);
+    });
+  }
+});
+
+describe('runSmokeChecks', () => {
+  it('passes when every path returns its expected status', async () => {
+    routes = {
+      '/': { status: 200, body: 'home' },
+      '/old': { status: 301, headers: { location: '/new' } },
+      '/version.json': { status: 200, body: '{"sha":"abc123"}' },
+    };
+
+    const { passed, results } = await runSmokeChecks('https://unused.example', {
+      baseUrl,
+      paths: { '/': 200, '/old': 301, '/missing': 404 },
+      versionFile: '/version.json',
+      expectedSha: 'abc123',
+      headers: { 'cf-access-client-id': 'id' },
+    });
+
+    assert.ok(passed, JSON.stringify(results));
+    assert.deepEqual(results.map(result => result.check), ['availability', 'GET /', 'GET /old', 'GET /missing', '/version.json contains commit']);
+    assert.ok(requests.every(request => request.headers['cf-access-client-id'] === 'id'));
+  });
+
+  it('keeps polling until / returns its expected status', async () => {
+    // A deployment that has not propagated yet answers 404
+    routes['/'] = count => count < 3 ? { status: 404 } : { status: 200 };
+
+    const { passed, results } = await runSmokeChecks(baseUrl, { timeoutSeconds: 5, intervalSeconds: 0.05 });
+
+    assert.ok(passed);
+    assert.equal(results[0].message, 'Site responded with 200 after 3 attempt(s)');
+  });
+
+  it('waits for a 2xx or 3xx when / is not checked', async () => {
+    routes['/'] = count => count < 2 ? { status: 404 } : { status: 302, headers: { location: '/login' } };
+    routes['/about'] = { status: 200 };
+
+    const { passed } = await runSmokeChecks(baseUrl, { paths: { '/about': 200 }, timeoutSeconds: 5, intervalSeconds: 0.05 });
+
+    assert.ok(passed);
+    assert.deepEqual(requests.map(request => request.path), ['/', '/', '/about']);
+  });
+
+  it('fails availability when / never returns its expected status', async () => {
+    routes['/'] = { status: 404 };
+
+    const { passed, results } = await runSmokeChecks(baseUrl, { timeoutSeconds: 0.2, intervalSeconds: 0.05 });
+
+    assert.equal(passed, false);
+    assert.deepEqual(results.map(result => result.check), ['availability']);
+    assert.match(results[0].message, /last result: status 404/);
+  });
+
+  it('fails when a path or the version file does not match', async () => {
+    routes = {
+      '/': { status: 200 },
+      '/app.js': { status: 500 },
+      '/version.json': { status: 200, body: 'old-sha' },
+    };
+
+    const { passed, results } = await runSmokeChecks(baseUrl, {
+      paths: { '/': 200, '/app.js': 200 },
+      versionFile: '/version.json',
+      expectedSha: 'abc123',
+    });
+
+    assert.equal(passed, false);
+    assert.deepEqual(results.filter(result => !result.passed).map(result => result.message), [
+      'expected 200, got 500',
+      'expected abc123, got old-sha',
+    ]);
+  });
+});
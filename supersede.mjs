@@ -0,0 +1,100 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import { getProjectApi, paginate } from './cloudflare-api.mjs';
+
+// Upper bound on GitHub compare calls per check, the newest deployments come first
+const MAX_COMPARED_COMMITS = 10;
+
+// Deployments scanned per check, a run that overlaps with ours created its deployment recently
+const MAX_SCANNED_DEPLOYMENTS = 50;
+
+/**
+ * Finds a deployment of a commit that comes after the given one on the same branch
+ *
+ * The order is taken from the commit recorded in each deployment's metadata and the Git
+ * history, never from timestamps, so a run that uploads last does not win just by being late.
+ * Commits that diverged from ours, e.g. after a force push, are not considered newer.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} own - The deployment of this run
+ * @param {string} own.id - Cloudflare deployment ID
+ * @param {string} own.branch - Branch that was deployed
+ * @param {string} own.sha - Commit that was deployed
+ * @returns {Promise<{id: string, sha: string, url: string}|null>}
+ */
+async function findNewerDeployment(octokit, projectName, own) {
+  const { projectUrl, token } = getProjectApi(projectName);
+  const commits = new Map();
+  let scanned = 0;
+
+  // The API lists the newest deployments first, so only the first pages are fetched. Deployments
+  // created just before ours are scanned too, the run of a newer commit may have created its first.
+  for await (const deployment of paginate(`${projectUrl}/deployments`, token)) {
+    const { branch, commit_hash: sha } = deployment.deployment_trigger?.metadata || {};
+    if (branch === own.branch && sha && sha !== own.sha && deployment.id !== own.id && !commits.has(sha)) {
+      commits.set(sha, deployment);
+    }
+    if (commits.size >= MAX_COMPARED_COMMITS || ++scanned >= MAX_SCANNED_DEPLOYMENTS) {
+      break;
+    }
+  }
+
+  for (const [sha, deployment] of commits) {
+    try {
+      const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+        ...github.context.repo,
+        basehead: `${own.sha}...${sha}`,
+        per_page: 1,
+      });
+      if (data.status === 'ahead') {
+        return { id: deployment.id, sha, url: deployment.url };
+      }
+    } catch (error) {
+      // Commits that are gone from the repository, e.g. after a force push, cannot be newer
+      core.debug(`Could not compare ${own.sha} with ${sha}: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether the pull request was closed while this run was deploying
+ *
+ * BRANCH is the Cloudflare branch name and need not exist in the repository, e.g. for tags,
+ * so deploys without a pull request are never considered torn down.
+ * @param {object} octokit - Authenticated Octokit client
+ * @param {string} [prNumber] - Pull request being deployed
+ * @returns {Promise<boolean>}
+ */
+async function isTornDown(octokit, prNumber) {
+  if (!prNumber) {
+    return false;
+  }
+  const { data } = await octokit.rest.pulls.get({ ...github.context.repo, pull_number: parseInt(prNumber) });
+  return data.state === 'closed';
+}
+
+/**
+ * Checks whether a deployment was superseded before this run got to report it
+ *
+ * A deployment is superseded when a newer commit of its branch has been deployed, or when the
+ * pull request was closed in the meantime, which means its teardown may already have run.
+ * @param {string} token - GitHub token
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} own - The deployment of this run
+ * @param {string} own.id - Cloudflare deployment ID
+ * @param {string} own.branch - Branch that was deployed
+ * @param {string} own.sha - Commit that was deployed
+ * @param {string} [own.prNumber] - Pull request that was deployed
+ * @returns {Promise<{reason: 'newer-commit', sha: string, deploymentId: string, url: string}|{reason: 'torn-down'}|null>}
+ */
+export async function checkSuperseded(token, projectName, own) {
+  const octokit = github.getOctokit(token);
+
+  if (await isTornDown(octokit, own.prNumber)) {
+    return { reason: 'torn-down' };
+  }
+
+  const newer = await findNewerDeployment(octokit, projectName, own);
+  return newer && { reason: 'newer-commit', sha: newer.sha, deploymentId: newer.id, url: newer.url };
+}
@@ -0,0 +1,185 @@
+import * as core from '@actions/core';
+import * as github from '@actions/github';
+import { deleteDeployment, getProject, listAllDeployments, mapWithConcurrency } from './cloudflare-api.mjs';
+import { deactivateGitHubDeployments, resolveEnvironmentName } from './github-deployments.mjs';
+import { detachPreviewDomain, renderPreviewDomain } from './preview-domain.mjs';
+
+/**
+ * Checks a branch name against allowlist patterns, where `*` matches any characters
+ * @param {string} branch - Branch name
+ * @param {Array<string>} patterns - Allowlist patterns
+ * @returns {boolean}
+ */
+function matchesAny(branch, patterns) {
+  return patterns.some(pattern => {
+    const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return regex.test(branch);
+  });
+}
+
+/**
+ * Removes the custom domains a branch's previews were served from
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {string} branch - Swept branch
+ * @param {Array<number>} pullRequests - Closed pull requests of the branch
+ * @param {{template: string, zoneId: string}} previewDomain - PREVIEW_DOMAIN settings
+ * @returns {Promise<void>}
+ */
+async function detachBranchDomains(projectName, branch, pullRequests, previewDomain) {
+  const prNumbers = pullRequests.length > 0 ? pullRequests.map(String) : [undefined];
+  const hostnames = new Set(prNumbers.map(prNumber =>
+    renderPreviewDomain(previewDomain.template, { prNumber, branch, project: projectName })
+  ).filter(Boolean));
+
+  for (const hostname of hostnames) {
+    try {
+      await detachPreviewDomain(projectName, hostname, { zoneId: previewDomain.zoneId });
+    } catch (error) {
+      core.warning(`Failed to detach preview domain ${hostname} of branch "${branch}": ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Pads table cells so the summary lines up in the log
+ * @param {Array<Array<string>>} rows - Table rows, the first being the header
+ * @returns {Array<string>}
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join(' | '));
+}
+
+/**
+ * Tears down preview deployments of branches that no longer have an open pull request
+ * @param {string} token - GitHub token
+ * @param {string} projectName - Cloudflare Pages project name
+ * @param {object} options - Sweep settings
+ * @param {Array<string>} [options.keepBranches] - Branch patterns that are never swept
+ * @param {string} options.environmentName - Base GitHub environment name, e.g. "preview"
+ * @param {number} [options.concurrency] - Maximum number of deletions in flight
+ * @param {{template: string, zoneId: string}|null} [options.previewDomain] - PREVIEW_DOMAIN settings, to detach the custom domains of swept branches
+ * @param {boolean} [options.dryRun] - Only report what would be deleted
+ * @returns {Promise<Array<{branch: string, deployments: number, action: string, deleted: number, failed: number, pullRequests: Array<number>}>>}
+ */
+export async function sweepPreviews(token, projectName, options) {
+  if (!token) {
+    throw new Error('The sweep event requires GITHUB_TOKEN to list pull requests');
+  }
+
+  const octokit = github.getOctokit(token);
+  const context = github.context;
+  const keepBranches = options.keepBranches || [];
+
+  const openPulls = await octokit.paginate(octokit.rest.pulls.list, {
+    owner: context.repo.owner,
+    repo: context.repo.repo,
+    state: 'open',
+    per_page: 100,
+  });
+  const openBranches = new Map(openPulls.map(pull => [pull.head.ref, pull.number]));
+  core.info(`Found ${openPulls.length} open pull requests`);
+
+  const project = await getProject(projectName);
+  const productionDeploymentId = project.canonical_deployment?.id;
+  const deployments = await listAllDeployments(projectName);
+
+  const deploymentsByBranch = new Map();
+  for (const deployment of deployments) {
+    const branch = deployment.deployment_trigger?.metadata?.branch;
+    if (branch) {
+      deploymentsByBranch.set(branch, [...(deploymentsByBranch.get(branch) || []), deployment]);
+    }
+  }
+  core.info(`Found ${deployments.length} deployments across ${deploymentsByBranch.size} branches`);
+
+  const results = [];
+  for (const [branch, branchDeployments] of deploymentsByBranch) {
+    const result = { branch, deployments: branchDeployments.length, action: '', deleted: 0, failed: 0, pullRequests: [] };
+    results.push(result);
+
+    if (branch === project.production_branch) {
+      result.action = 'kept (production branch)';
+      continue;
+    }
+    if (openBranches.has(branch)) {
+      result.action = `kept (open PR #${openBranches.get(branch)})`;
+      continue;
+    }
+    if (matchesAny(branch, keepBranches)) {
+      result.action = 'kept (allowlisted)';
+      continue;
+    }
+
+    // Production may have been promoted or rolled back onto a deployment of another branch,
+    // or the production branch renamed, so production deployments are never swept
+    const removable = branchDeployments.filter(deployment =>
+      deployment.id !== productionDeploymentId && deployment.environment !== 'production'
+    );
+    const keptCount = branchDeployments.length - removable.length;
+    if (removable.length === 0) {
+      result.action = 'kept (production deployments)';
+      continue;
+    }
+    if (options.dryRun) {
+      result.action = keptCount > 0 ? `would delete, keeping ${keptCount} production` : 'would delete';
+      result.deleted = removable.length;
+      continue;
+    }
+
+    const outcomes = await mapWithConcurrency(removable, options.concurrency || 5, async deployment => {
+      try {
+        await deleteDeployment(projectName, deployment.id);
+        return true;
+      } catch (error) {
+        core.warning(`Failed to delete deployment ${deployment.id} of branch "${branch}": ${error.message}`);
+        return false;
+      }
+    });
+    result.deleted = outcomes.filter(Boolean).length;
+    result.failed = outcomes.length - result.deleted;
+    result.action = `${result.failed > 0 ? 'partially deleted' : 'deleted'}${keptCount > 0 ? `, kept ${keptCount} production` : ''}`;
+
+    // Closed and merged PRs of the branch own the preview/pr-N environments to deactivate
+    const pulls = await octokit.paginate(octokit.rest.pulls.list, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      state: 'closed',
+      head: `${context.repo.owner}:${branch}`,
+      per_page: 100,
+    });
+    result.pullRequests = pulls.map(pull => pull.number);
+
+    for (const prNumber of result.pullRequests) {
+      await deactivateGitHubDeployments(token, resolveEnvironmentName(options.environmentName, { prNumber, branch }));
+    }
+    if (result.pullRequests.length === 0) {
+      await deactivateGitHubDeployments(token, resolveEnvironmentName(options.environmentName, { branch }));
+    }
+    if (options.previewDomain) {
+      await detachBranchDomains(projectName, branch, result.pullRequests, options.previewDomain);
+    }
+  }
+
+  const table = formatTable([
+    ['Branch', 'Deployments', 'Result', 'Deleted', 'Failed', 'Closed PRs'],
+    ...results.map(result => [
+      result.branch,
+      String(result.deployments),
+      result.action,
+      String(result.deleted),
+      String(result.failed),
+      result.pullRequests.map(number => `#${number}`).join(', '),
+    ]),
+  ]);
+  core.info(`Sweep summary for project "${projectName}":`);
+  table.forEach(line => core.info(line));
+
+  const deletedTotal = results.reduce((total, result) => total + result.deleted, 0);
+  const failedTotal = results.reduce((total, result) => total + result.failed, 0);
+  core.info(options.dryRun
+    ? `Sweep dry run complete: ${deletedTotal} deployments would be deleted`
+    : `Sweep complete: ${deletedTotal} deployments deleted, ${failedTotal} failed`);
+
+  return results;
+}
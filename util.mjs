@@ -0,0 +1,31 @@
+/**
+ * Normalizes a headers or redirects value to the JSON string the rules writers expect
+ * @param {object|string|undefined} value - Object, JSON string, or nothing
+ * @param {string} [fallback] - JSON string used when there is no value
+ * @returns {string}
+ */
+export function toJsonString(value, fallback = '{}') {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Replaces `{{placeholder}}` occurrences in a template. Unknown placeholders are left as-is
+ * @param {string} template - Template text
+ * @param {Object<string, string>} values - Placeholder values
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Sleeps for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,188 @@
+import * as core from '@actions/core';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { parseHeadersFile, parseRedirectsFile } from './pages-rules.mjs';
+
+// Cloudflare Pages limits, see https://developers.cloudflare.com/pages/platform/limits/
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+const DEFAULT_MAX_FILE_COUNT = 20000;
+const LARGEST_FILES_REPORTED = 5;
+
+// Directories that should never be part of a build output
+const FORBIDDEN_DIRECTORIES = ['node_modules', '.git'];
+
+// File names that usually hold credentials
+const SECRET_FILE_PATTERNS = [
+  /^\.env(\..+)?$/,
+  /\.pem$/,
+  /\.key$/,
+  /\.p12$/,
+  /\.pfx$/,
+  /^id_(rsa|dsa|ecdsa|ed25519)$/,
+  /^\.npmrc$/,
+  /^\.netrc$/,
+  /^\.htpasswd$/,
+  /^credentials(\.json)?$/,
+  /^service-account.*\.json$/,
+];
+
+/**
+ * Formats a byte count for the report
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MiB`;
+}
+
+/**
+ * Recursively lists every file and forbidden directory in a folder
+ * @param {string} rootFolder - Folder being validated
+ * @param {string} [currentFolder] - Folder currently being walked
+ * @returns {Promise<{files: Array<{name: string, size: number}>, forbiddenDirectories: Array<string>}>}
+ */
+async function scanFolder(rootFolder, currentFolder = rootFolder) {
+  const files = [];
+  const forbiddenDirectories = [];
+  const entries = await fs.readdir(currentFolder, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const absolutePath = path.join(currentFolder, entry.name);
+    const name = path.relative(rootFolder, absolutePath).split(path.sep).join('/');
+    const stats = await fs.stat(absolutePath);
+
+    if (stats.isDirectory()) {
+      if (FORBIDDEN_DIRECTORIES.includes(entry.name)) {
+        forbiddenDirectories.push(name);
+        continue;
+      }
+      const nested = await scanFolder(rootFolder, absolutePath);
+      files.push(...nested.files);
+      forbiddenDirectories.push(...nested.forbiddenDirectories);
+    } else if (stats.isFile()) {
+      files.push({ name, size: stats.size });
+    }
+  }
+
+  return { files, forbiddenDirectories };
+}
+
+/**
+ * Validates a rules file with its parser, recording a finding on syntax errors
+ * @param {string} distFolder - Folder being validated
+ * @param {string} fileName - `_headers` or `_redirects`
+ * @param {function(string): any} parse - Parser that throws on invalid syntax
+ * @param {Array<object>} findings - Findings to append to
+ * @returns {Promise<void>}
+ */
+async function validateRulesFile(distFolder, fileName, parse, findings) {
+  let contents;
+  try {
+    contents = await fs.readFile(path.join(distFolder, fileName), 'utf8');
+  } catch (error) {
+    return;
+  }
+
+  try {
+    parse(contents);
+  } catch (error) {
+    findings.push({ level: 'fail', check: `${fileName} syntax`, message: error.message });
+  }
+}
+
+/**
+ * Checks a dist folder against Cloudflare Pages limits and common mistakes before uploading
+ * @param {string} distFolder - Path to the distribution folder
+ * @param {object} [options] - Validation settings
+ * @param {number} [options.maxFileCount] - Maximum number of files the project allows
+ * @returns {Promise<{findings: Array<{level: string, check: string, message: string}>, stats: object}>}
+ */
+export async function validateDistFolder(distFolder, options = {}) {
+  const maxFileCount = options.maxFileCount || DEFAULT_MAX_FILE_COUNT;
+  const { files, forbiddenDirectories } = await scanFolder(distFolder);
+  const findings = [];
+
+  const totalSize = files.reduce((total, file) => total + file.size, 0);
+  const largestFiles = [...files].sort((a, b) => b.size - a.size).slice(0, LARGEST_FILES_REPORTED);
+
+  if (files.length > maxFileCount) {
+    findings.push({ level: 'fail', check: 'file count', message: `${files.length} files exceeds the limit of ${maxFileCount}` });
+  }
+
+  for (const file of files.filter(file => file.size > MAX_FILE_SIZE)) {
+    findings.push({ level: 'fail', check: 'file size', message: `${file.name} is ${formatSize(file.size)}, the limit is ${formatSize(MAX_FILE_SIZE)}` });
+  }
+
+  for (const directory of forbiddenDirectories) {
+    findings.push({ level: 'warn', check: 'forbidden directory', message: `${directory}/ is in the build output and will not be uploaded` });
+  }
+
+  for (const file of files) {
+    const baseName = path.posix.basename(file.name);
+    if (SECRET_FILE_PATTERNS.some(pattern => pattern.test(baseName))) {
+      findings.push({ level: 'fail', check: 'secret-looking file', message: `${file.name} looks like it contains credentials and would be publicly served` });
+    }
+  }
+
+  if (!files.some(file => file.name === 'index.html')) {
+    findings.push({ level: 'warn', check: 'entry point', message: 'index.html is missing, the site root will return 404' });
+  }
+
+  await validateRulesFile(distFolder, '_headers', parseHeadersFile, findings);
+  await validateRulesFile(distFolder, '_redirects', parseRedirectsFile, findings);
+
+  return {
+    findings,
+    stats: { fileCount: files.length, totalSize, largestFiles },
+  };
+}
+
+/**
+ * Logs the findings of a validation report
+ * @param {string} distFolder - Path to the distribution folder
+ * @param {{findings: Array<object>, stats: object}} report - Result of validateDistFolder
+ * @returns {void}
+ */
+export function reportValidation(distFolder, report) {
+  const { findings, stats } = report;
+
+  core.info(`Validated ${distFolder}: ${stats.fileCount} files, ${formatSize(stats.totalSize)} total`);
+  for (const finding of findings) {
+    const line = `${finding.check}: ${finding.message}`;
+    if (finding.level === 'fail') {
+      core.error(line);
+    } else {
+      core.warning(line);
+    }
+  }
+}
+
+/**
+ * Adds a validation report to the job summary buffer, which the caller writes once
+ * @param {{findings: Array<object>, stats: object}} report - Result of validateDistFolder
+ * @param {string} title - Heading of the section
+ * @returns {void}
+ */
+export function addValidationSummary(report, title) {
+  const { findings, stats } = report;
+
+  core.summary
+    .addHeading(title, 3)
+    .addTable([
+      [{ data: 'Files', header: true }, { data: 'Total size', header: true }],
+      [String(stats.fileCount), formatSize(stats.totalSize)],
+    ])
+    .addRaw('<b>Largest files</b>', true)
+    .addList(stats.largestFiles.map(file => `<code>${file.name}</code> (${formatSize(file.size)})`));
+
+  if (findings.length > 0) {
+    core.summary.addTable([
+      [{ data: 'Level', header: true }, { data: 'Check', header: true }, { data: 'Details', header: true }],
+      ...findings.map(finding => [finding.level === 'fail' ? '❌ fail' : '⚠️ warn', finding.check, finding.message]),
+    ]);
+  } else {
+    core.summary.addRaw('✅ No problems found', true);
+  }
+}